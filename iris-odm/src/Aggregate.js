@@ -0,0 +1,427 @@
+/**
+ * @file Aggregate class: Mongo-style aggregation pipeline ($match, $group, $lookup...) over a collection
+ */
+
+import { Query } from "./Query.js";
+import { Matcher } from "./Matcher.js";
+import { Updater } from "./Updater.js";
+import { NotFoundError } from "./Errors.js";
+
+const STAGES = [
+  "$match",
+  "$project",
+  "$group",
+  "$sort",
+  "$skip",
+  "$limit",
+  "$unwind",
+  "$addFields",
+  "$lookup",
+  "$count",
+];
+const ACCUMULATORS = ["$sum", "$avg", "$min", "$max", "$push", "$count"];
+
+class Aggregate {
+  constructor(model, pipeline = [], options = {}) {
+    if (!Array.isArray(pipeline)) {
+      throw new Error("Aggregation pipeline must be an array of stages");
+    }
+    this.model = model;
+    this.pipeline = pipeline;
+    this.collection = options.collection || null;
+  }
+
+  // Añade una etapa al final del pipeline
+  append(...stages) {
+    this.pipeline.push(...stages);
+    return this;
+  }
+
+  async exec() {
+    const stages = this.pipeline.map((stage) => Aggregate.parseStage(stage));
+    const { query, next } = this._pushdown(stages);
+    let documents = await query;
+
+    for (const { name, spec } of stages.slice(next)) {
+      documents = await this._runStage(name, spec, documents);
+    }
+    return documents;
+  }
+
+  then(resolve, reject) {
+    return this.exec().then(resolve, reject);
+  }
+
+  catch(reject) {
+    return this.exec().catch(reject);
+  }
+
+  finally(callback) {
+    return this.exec().finally(callback);
+  }
+
+  /**
+   * Las etapas iniciales $match, $sort, $skip y $limit se convierten en un Query para
+   * que el planificador use los índices y corte el cursor cuanto antes.
+   */
+  _pushdown(stages) {
+    const query = this.model.find(null, {
+      collection: this.collection,
+      hooks: false,
+    });
+    let next = 0;
+
+    if (stages[next]?.name === "$match") {
+      this.model._validateQuery(stages[next].spec);
+      query.where(stages[next].spec);
+      next++;
+    }
+    if (stages[next]?.name === "$sort") {
+      query.sort(Aggregate.sortSpec(stages[next].spec));
+      next++;
+    }
+    let skip = 0;
+    let limit = null;
+    while (["$skip", "$limit"].includes(stages[next]?.name)) {
+      const { name, spec } = stages[next];
+      const count = Aggregate.count(name, spec);
+      if (name === "$skip") {
+        skip += count;
+        if (limit !== null) limit = Math.max(0, limit - count);
+      } else {
+        limit = limit === null ? count : Math.min(limit, count);
+      }
+      next++;
+    }
+    return { query: query.skip(skip).limit(limit), next };
+  }
+
+  async _runStage(name, spec, documents) {
+    switch (name) {
+      case "$match":
+        this.model._validateQuery(spec);
+        return documents.filter((item) => this.model._matchesQuery(item, spec));
+      case "$project":
+        return documents.map((item) =>
+          Aggregate.project(item, spec, this.model.primary)
+        );
+      case "$addFields":
+        return documents.map((item) => Aggregate.addFields(item, spec));
+      case "$group":
+        return Aggregate.group(documents, spec);
+      case "$sort":
+        return [...documents].sort(Query.comparator(Aggregate.sortSpec(spec)));
+      case "$skip":
+        return documents.slice(Aggregate.count(name, spec));
+      case "$limit":
+        return documents.slice(0, Aggregate.count(name, spec));
+      case "$unwind":
+        return Aggregate.unwind(documents, spec);
+      case "$count":
+        if (typeof spec !== "string" || !spec || spec.startsWith("$")) {
+          throw new Error("Stage '$count' expects a field name");
+        }
+        return documents.length > 0 ? [{ [spec]: documents.length }] : [];
+      case "$lookup":
+        return this._lookup(documents, spec);
+    }
+  }
+
+  /**
+   * Une cada documento con los de otra colección de la misma base de datos:
+   * { from, localField, foreignField, as }. Se hace una sola consulta $in sobre la
+   * colección externa para todos los documentos.
+   */
+  async _lookup(documents, { from, localField, foreignField, as } = {}) {
+    if (!from || !localField || !foreignField || !as) {
+      throw new Error(
+        "Stage '$lookup' requires 'from', 'localField', 'foreignField' and 'as'"
+      );
+    }
+    if (!Array.from(this.model.db.objectStoreNames).includes(from)) {
+      throw new NotFoundError(`Collection '${from}' not found`, { collection: from });
+    }
+
+    const localValues = documents.map((item) =>
+      Matcher.expand(Matcher.getValues(item, localField)).map((value) =>
+        value === undefined ? null : value
+      )
+    );
+    const wanted = [];
+    for (const values of localValues) {
+      for (const value of values) {
+        if (!wanted.some((known) => Matcher.equals(known, value))) {
+          wanted.push(value);
+        }
+      }
+    }
+    const foreign =
+      wanted.length > 0
+        ? await this.model.find(
+            { [foreignField]: { $in: wanted } },
+            { collection: from, hooks: false }
+          )
+        : [];
+
+    return documents.map((item, i) => {
+      const matched = foreign.filter((other) =>
+        Matcher.matchesCondition(Matcher.getValues(other, foreignField), {
+          $in: localValues[i],
+        })
+      );
+      const joined = structuredClone(item);
+      Updater.setPath(joined, as, matched);
+      return joined;
+    });
+  }
+
+  // Comprueba que la etapa tenga un único operador conocido
+  static parseStage(stage) {
+    const keys = Matcher.isPlainObject(stage) ? Object.keys(stage) : [];
+    if (keys.length !== 1) {
+      throw new Error("Each pipeline stage must have exactly one operator");
+    }
+    const [name] = keys;
+    if (!STAGES.includes(name)) {
+      throw new Error(`Unknown pipeline stage '${name}'`);
+    }
+    return { name, spec: stage[name] };
+  }
+
+  static sortSpec(spec) {
+    const sort = Query.normalizeSort(spec);
+    if (!sort) throw new Error("Stage '$sort' expects at least one field");
+    return sort;
+  }
+
+  static count(name, value) {
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`Stage '${name}' expects a non-negative integer`);
+    }
+    return value;
+  }
+
+  /**
+   * $project admite inclusión ({ name: 1 }), exclusión ({ password: 0 }) y campos
+   * calculados ({ total: { $multiply: ["$price", "$qty"] } }). La clave primaria se
+   * incluye salvo que se excluya de forma explícita.
+   */
+  static project(item, spec, primary = "_id") {
+    if (!Matcher.isPlainObject(spec) || Object.keys(spec).length === 0) {
+      throw new Error("Stage '$project' expects a non-empty object");
+    }
+    const entries = Object.entries(spec);
+    const isFlag = (value) => typeof value === "boolean" || typeof value === "number";
+    const excluded = entries.filter(
+      ([field, value]) => isFlag(value) && !value && field !== primary
+    );
+    const included = entries.filter(([, value]) => !isFlag(value) || value);
+
+    if (excluded.length > 0) {
+      if (included.length > 0) {
+        throw new Error("Projection cannot mix included and excluded fields");
+      }
+      const result = structuredClone(item);
+      for (const [field] of entries) Updater.unsetPath(result, field);
+      return result;
+    }
+
+    const result = {};
+    if (spec[primary] === undefined && item[primary] !== undefined) {
+      result[primary] = item[primary];
+    }
+    for (const [field, value] of entries) {
+      if (isFlag(value)) {
+        if (!value) continue;
+        const current = Matcher.getPath(item, field);
+        if (current !== undefined) {
+          Updater.setPath(result, field, structuredClone(current));
+        }
+        continue;
+      }
+      Updater.setPath(result, field, Aggregate.evaluate(value, item));
+    }
+    return result;
+  }
+
+  static addFields(item, spec) {
+    if (!Matcher.isPlainObject(spec)) {
+      throw new Error("Stage '$addFields' expects an object");
+    }
+    const result = structuredClone(item);
+    for (const [field, expression] of Object.entries(spec)) {
+      Updater.setPath(result, field, Aggregate.evaluate(expression, item));
+    }
+    return result;
+  }
+
+  // $unwind: "$tags" o { path: "$tags", preserveNullAndEmptyArrays, includeArrayIndex }
+  static unwind(documents, spec) {
+    const options = typeof spec === "string" ? { path: spec } : spec || {};
+    if (typeof options.path !== "string" || !options.path.startsWith("$")) {
+      throw new Error("Stage '$unwind' expects a field path starting with '$'");
+    }
+    const path = options.path.slice(1);
+    const results = [];
+
+    for (const item of documents) {
+      const value = Matcher.getPath(item, path);
+      const list = Array.isArray(value)
+        ? value
+        : value === undefined || value === null
+        ? []
+        : [value];
+
+      if (list.length === 0) {
+        if (options.preserveNullAndEmptyArrays) {
+          const copy = structuredClone(item);
+          if (options.includeArrayIndex) copy[options.includeArrayIndex] = null;
+          results.push(copy);
+        }
+        continue;
+      }
+      list.forEach((element, index) => {
+        const copy = structuredClone(item);
+        Updater.setPath(copy, path, structuredClone(element));
+        if (options.includeArrayIndex) copy[options.includeArrayIndex] = index;
+        results.push(copy);
+      });
+    }
+    return results;
+  }
+
+  /**
+   * $group: { _id: <expresión>, campo: { <acumulador>: <expresión> } }.
+   * Los grupos salen en el orden en que aparece su primer documento.
+   */
+  static group(documents, spec) {
+    if (!Matcher.isPlainObject(spec) || !("_id" in spec)) {
+      throw new Error("Stage '$group' requires an '_id' expression");
+    }
+    const fields = Object.entries(spec).filter(([field]) => field !== "_id");
+    for (const [field, accumulator] of fields) {
+      const keys = Matcher.isPlainObject(accumulator) ? Object.keys(accumulator) : [];
+      if (keys.length !== 1 || !ACCUMULATORS.includes(keys[0])) {
+        throw new Error(
+          `Field '${field}' in '$group' must use one accumulator (${ACCUMULATORS.join(", ")})`
+        );
+      }
+    }
+
+    const groups = new Map();
+    for (const item of documents) {
+      const id = Aggregate.evaluate(spec._id, item);
+      const key = Aggregate.groupKey(id);
+      if (!groups.has(key)) groups.set(key, { _id: id, items: [] });
+      groups.get(key).items.push(item);
+    }
+
+    return Array.from(groups.values()).map(({ _id, items }) => {
+      const result = { _id: _id === undefined ? null : _id };
+      for (const [field, accumulator] of fields) {
+        const [operator] = Object.keys(accumulator);
+        result[field] = Aggregate.accumulate(operator, accumulator[operator], items);
+      }
+      return result;
+    });
+  }
+
+  static accumulate(operator, expression, items) {
+    if (operator === "$count") return items.length;
+
+    const values = items.map((item) => Aggregate.evaluate(expression, item));
+    const present = values.filter((value) => value !== undefined && value !== null);
+    const numbers = values.filter(
+      (value) => typeof value === "number" && !isNaN(value)
+    );
+    switch (operator) {
+      case "$sum":
+        return numbers.reduce((total, value) => total + value, 0);
+      case "$avg":
+        return numbers.length > 0
+          ? numbers.reduce((total, value) => total + value, 0) / numbers.length
+          : null;
+      case "$min":
+      case "$max":
+        if (present.length === 0) return null;
+        return present.reduce((best, value) => {
+          const diff = Query.compareValues(value, best);
+          return (operator === "$min" ? diff < 0 : diff > 0) ? value : best;
+        });
+      case "$push":
+        return values.filter((value) => value !== undefined);
+    }
+  }
+
+  // Clave estable para agrupar: valores iguales (también fechas y objetos) comparten grupo
+  static groupKey(value) {
+    return JSON.stringify(value, function (key, current) {
+      const raw = this[key];
+      if (raw instanceof Date) return { $date: raw.getTime() };
+      return current === undefined ? null : current;
+    });
+  }
+
+  /**
+   * Evalúa una expresión sobre un documento: "$campo" (rutas con puntos), literales,
+   * objetos y arrays de expresiones y los operadores $literal, $add, $subtract,
+   * $multiply, $divide, $concat, $ifNull, $size, $toLower y $toUpper.
+   */
+  static evaluate(expression, item) {
+    if (typeof expression === "string" && expression.startsWith("$")) {
+      return Matcher.getPath(item, expression.slice(1));
+    }
+    if (Array.isArray(expression)) {
+      return expression.map((element) => Aggregate.evaluate(element, item));
+    }
+    if (!Matcher.isPlainObject(expression)) return expression;
+
+    const keys = Object.keys(expression);
+    if (keys.length === 1 && keys[0].startsWith("$")) {
+      return Aggregate.evaluateOperator(keys[0], expression[keys[0]], item);
+    }
+    const result = {};
+    for (const [field, value] of Object.entries(expression)) {
+      result[field] = Aggregate.evaluate(value, item);
+    }
+    return result;
+  }
+
+  static evaluateOperator(operator, operand, item) {
+    if (operator === "$literal") return operand;
+
+    const args = (Array.isArray(operand) ? operand : [operand]).map((value) =>
+      Aggregate.evaluate(value, item)
+    );
+    const missing = args.some((value) => value === undefined || value === null);
+    switch (operator) {
+      case "$add":
+        return missing ? null : args.reduce((total, value) => total + value, 0);
+      case "$multiply":
+        return missing ? null : args.reduce((total, value) => total * value, 1);
+      case "$subtract":
+        return missing ? null : args[0] - args[1];
+      case "$divide":
+        if (missing) return null;
+        if (args[1] === 0) throw new Error("Operator '$divide' cannot divide by zero");
+        return args[0] / args[1];
+      case "$concat":
+        return missing ? null : args.join("");
+      case "$ifNull":
+        return args.find((value) => value !== undefined && value !== null) ?? null;
+      case "$size":
+        if (!Array.isArray(args[0])) {
+          throw new Error("Operator '$size' expects an array");
+        }
+        return args[0].length;
+      case "$toLower":
+        return missing ? "" : String(args[0]).toLowerCase();
+      case "$toUpper":
+        return missing ? "" : String(args[0]).toUpperCase();
+      default:
+        throw new Error(`Unknown expression operator '${operator}'`);
+    }
+  }
+}
+
+export { Aggregate };
@@ -0,0 +1,198 @@
+/**
+ * @file ChangeStream class: delivers committed insert/update/delete events to model subscribers,
+ * locally and to other tabs through a per-database BroadcastChannel
+ */
+
+import { Matcher } from "./Matcher.js";
+
+class ChangeStream {
+  /**
+   * `broadcast`: true (por defecto) publica los cambios con sus documentos, "keys" solo
+   * con la clave primaria y false no los comparte con otras pestañas. `probeInterval`: cada
+   * cuántos ms se vuelve a preguntar quién escucha (0 lo desactiva).
+   */
+  constructor(model, { broadcast = true, probeInterval = 30000 } = {}) {
+    this.model = model;
+    this.listeners = new Set();
+    this.broadcast = broadcast;
+    this.channel = null;
+    // Identificador de este stream en el canal y streams de otras pestañas con suscriptores
+    this.id = Math.random().toString(36).slice(2);
+    this.remote = new Set();
+    // Una pestaña que se cierra sin avisar (o se cuelga) no responde a la siguiente pregunta
+    // y se olvida; `answered` guarda los streams que respondieron desde la anterior
+    this.probeInterval = probeInterval;
+    this.prober = null;
+    this.answered = new Set();
+    this.onPageHide = () => {
+      if (this.listeners.size > 0) this.signal("unlisten");
+    };
+    this.onPageShow = () => {
+      if (this.listeners.size > 0) this.signal("listen");
+    };
+  }
+
+  // Hay que registrar los cambios si alguien escucha aquí o en otra pestaña
+  get active() {
+    return this.listeners.size > 0 || this.remote.size > 0;
+  }
+
+  get canBroadcast() {
+    return this.broadcast !== false && typeof BroadcastChannel !== "undefined";
+  }
+
+  /*
+   * Abre (una vez) el canal compartido por todas las pestañas de la misma base de datos. Al
+   * abrirlo pregunta quién tiene suscriptores: solo entonces se registran y publican cambios
+   */
+  open() {
+    if (!this.channel && this.canBroadcast) {
+      this.channel = new BroadcastChannel(`iris-odm:${this.model.name}`);
+      this.channel.onmessage = (event) => this.receive(event.data);
+      // En Node.js el canal abierto no debe impedir que el proceso termine
+      this.channel.unref?.();
+      this.signal("probe");
+      if (this.listeners.size > 0) this.signal("listen");
+      // Al ocultarse o cerrarse la pestaña deja de escuchar, y vuelve si se restaura
+      globalThis.addEventListener?.("pagehide", this.onPageHide);
+      globalThis.addEventListener?.("pageshow", this.onPageShow);
+    }
+    return this.channel;
+  }
+
+  close() {
+    if (this.channel) {
+      if (this.listeners.size > 0) this.signal("unlisten");
+      this.channel.close();
+      globalThis.removeEventListener?.("pagehide", this.onPageHide);
+      globalThis.removeEventListener?.("pageshow", this.onPageShow);
+    }
+    this.channel = null;
+    this.remote.clear();
+    this.scheduleProbe();
+  }
+
+  // Mensajes de control: "listen" / "unlisten" al tener o dejar de tener suscriptores y "probe"
+  signal(type) {
+    if (this.channel) this.channel.postMessage({ type, from: this.id });
+  }
+
+  /**
+   * Registra un suscriptor: { query, collection, onChange(change), onBatch(changes) }.
+   * `onChange` recibe cada cambio y `onBatch` una sola vez los de cada transacción.
+   * Devuelve una función para cancelar la suscripción.
+   */
+  subscribe({ query = null, collection, onChange, onBatch }) {
+    this.model._validateQuery(query);
+    const listener = {
+      query,
+      collection: collection || this.model.activeCollection,
+      onChange,
+      onBatch,
+    };
+    this.listeners.add(listener);
+    if (this.listeners.size === 1) this.signal("listen");
+    this.open();
+    return () => {
+      if (this.listeners.delete(listener) && this.listeners.size === 0) this.signal("unlisten");
+    };
+  }
+
+  /**
+   * Un cambio afecta a una consulta si el documento la cumplía antes o la cumple después.
+   * `matches(item, query)` evalúa la consulta (el modelo la usa para resolver $text).
+   */
+  static affects(change, query, matches = Matcher.matches) {
+    // Un cambio remoto sin documentos puede afectar a cualquier consulta
+    if (!query || (change.remote && !change.before && !change.after)) return true;
+    return (
+      (change.before && matches(change.before, query)) ||
+      (change.after && matches(change.after, query))
+    );
+  }
+
+  // Cambios confirmados en esta pestaña: se entregan aquí y se publican en el canal
+  emit(changes) {
+    if (changes.length === 0) return;
+    this.deliver(changes);
+    this.publish(changes);
+  }
+
+  // Mensajes de otra pestaña (o de otro Model de la misma base de datos)
+  receive(message) {
+    if (!message) return;
+    if (message.type === "listen") {
+      this.remote.add(message.from);
+      this.answered.add(message.from);
+      this.scheduleProbe();
+    } else if (message.type === "unlisten") {
+      this.remote.delete(message.from);
+      this.scheduleProbe();
+    } else if (message.type === "probe" && this.listeners.size > 0) {
+      this.signal("listen");
+    }
+    if (!Array.isArray(message.changes)) return;
+    this.deliver(message.changes.map((change) => ({ ...change, remote: true })));
+  }
+
+  /*
+   * Mientras haya streams remotos se les pregunta cada `probeInterval` ms; al preguntar se
+   * olvidan los que no respondieron a la pregunta anterior. Sin ninguno se deja de preguntar
+   */
+  scheduleProbe() {
+    if (this.remote.size > 0 && this.channel && this.probeInterval > 0) {
+      if (this.prober) return;
+      this.prober = setInterval(() => {
+        for (const id of this.remote) {
+          if (!this.answered.has(id)) this.remote.delete(id);
+        }
+        this.answered.clear();
+        if (this.remote.size > 0) this.signal("probe");
+        else this.scheduleProbe();
+      }, this.probeInterval);
+      // En Node.js el temporizador no debe impedir que el proceso termine
+      this.prober.unref?.();
+      return;
+    }
+    clearInterval(this.prober);
+    this.prober = null;
+    this.answered.clear();
+  }
+
+  // Solo se publica si alguna otra pestaña tiene suscriptores
+  publish(changes) {
+    const channel = this.open();
+    if (!channel || this.remote.size === 0) return;
+    const keysOnly = (change) => ({ ...change, before: null, after: null });
+    try {
+      channel.postMessage({
+        changes: this.broadcast === "keys" ? changes.map(keysOnly) : changes,
+      });
+    } catch (error) {
+      // Documentos que no se pueden clonar: se publican solo las claves
+      channel.postMessage({ changes: changes.map(keysOnly) });
+    }
+  }
+
+  deliver(changes) {
+    for (const listener of Array.from(this.listeners)) {
+      const relevant = changes.filter(
+        (change) =>
+          change.collection === listener.collection &&
+          ChangeStream.affects(change, listener.query, (item, query) =>
+            this.model._matchesQuery(item, query)
+          )
+      );
+      if (relevant.length === 0) continue;
+      // Un suscriptor que falla no impide notificar al resto
+      try {
+        if (listener.onChange) relevant.forEach((change) => listener.onChange(change));
+        if (listener.onBatch) listener.onBatch(relevant);
+      } catch (error) {
+        console.error("Error in change listener:", error);
+      }
+    }
+  }
+}
+
+export { ChangeStream };
@@ -0,0 +1,207 @@
+/**
+ * @file Cursor class: async iterator that streams query results in batches, one transaction per batch
+ */
+
+import { Query } from "./Query.js";
+import { Matcher } from "./Matcher.js";
+
+class Cursor {
+  constructor(model, filter = null, options = {}) {
+    this.model = model;
+    this.filter = filter;
+    this.withDeleted = options.withDeleted;
+    this.collection = options.collection || model.activeCollection;
+    this.batchSize = Math.max(1, parseInt(options.batchSize, 10) || 100);
+    this.sort = Query.normalizeSort(options.sort);
+    this.skip = Math.max(0, parseInt(options.skip, 10) || 0);
+    this.limit =
+      options.limit === undefined || options.limit === null
+        ? null
+        : Math.max(0, parseInt(options.limit, 10) || 0);
+    this.fields = Query.normalizeProjection(options.fields);
+    // Como find: pre('find') antes del primer lote y post('find') con cada lote leído
+    this.hooks = options.hooks !== false;
+    this.context = null;
+
+    this.buffer = [];
+    this.done = this.limit === 0;
+    this.skipped = 0;
+    this.returned = 0;
+    // Posición del último registro leído: { field, key, primaryKey }
+    this.position = null;
+    this.seen = new Set();
+    // Claves primarias ya ordenadas cuando el orden no lo puede dar un índice
+    this.sortedKeys = null;
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+
+  async next() {
+    if (this.hooks && !this.context && !this.done) {
+      this.context = await this.model._before("find", {
+        query: this.filter,
+        options: { sort: this.sort, skip: this.skip, limit: this.limit, fields: this.fields },
+        single: false,
+        collection: this.collection,
+      });
+      this.filter = this.context.query;
+    }
+    while (this.buffer.length === 0 && !this.done) {
+      await this._fetch();
+      if (this.context && this.buffer.length > 0) {
+        await this.model._after("find", this.buffer, this.context);
+      }
+    }
+    if (this.buffer.length === 0) return { value: undefined, done: true };
+    return { value: this.buffer.shift(), done: false };
+  }
+
+  // Se invoca al salir de un for await (break, return o excepción)
+  async return() {
+    this.close();
+    return { value: undefined, done: true };
+  }
+
+  close() {
+    this.done = true;
+    this.buffer = [];
+    this.sortedKeys = null;
+  }
+
+  async toArray() {
+    const results = [];
+    for await (const item of this) results.push(item);
+    return results;
+  }
+
+  // El filtro con el ámbito del modelo; se calcula en cada lote para que los documentos que
+  // caducan (TTL) mientras se recorre el cursor dejen de devolverse
+  _scopedFilter() {
+    return this.model._scope(this.filter, { withDeleted: this.withDeleted });
+  }
+
+  _fetch() {
+    if (this.sortedKeys) return this._fetchSorted();
+
+    const sortFields = this.sort ? Object.keys(this.sort) : [];
+    const orderBy = sortFields.length === 1 ? sortFields[0] : null;
+    const options = {
+      orderBy,
+      direction: orderBy && this.sort[orderBy] < 0 ? "prev" : "next",
+      preferOrder: true,
+      seen: this.seen,
+    };
+    if (this.position) {
+      options.field = this.position.field;
+      options.after = this.position;
+    }
+
+    return this.model._executeTransaction(
+      "readonly",
+      (store) => {
+        let stopped = false;
+        let keys = null;
+        // Las entradas guardan cada campo de orden con su ruta como clave; como en find, se
+        // ordena por los valores con getters y virtuales aplicados
+        const comparator = this.sort
+          ? Query.comparator(this.sort, (entry, field) => entry[field])
+          : null;
+        const bounded = this.limit !== null ? this.skip + this.limit : null;
+
+        return this.model
+          ._iterate(
+            store,
+            this._scopedFilter(),
+            (value, cursor, plan) => {
+              // El índice no da el orden pedido: guardamos solo las claves de orden
+              if (this.sort && !plan.ordered) {
+                keys = keys || [];
+                const entry = { primaryKey: cursor.primaryKey };
+                const document = this.model._applyGetters(value);
+                for (const field of sortFields) {
+                  entry[field] = Matcher.getPath(document, field);
+                }
+                if (bounded === null) keys.push(entry);
+                else {
+                  Query.insertSorted(keys, entry, comparator);
+                  if (keys.length > bounded) keys.pop();
+                }
+                return;
+              }
+
+              this.position = {
+                field: plan.field || store.keyPath,
+                key: cursor.key,
+                primaryKey: cursor.primaryKey,
+              };
+              if (this.skipped < this.skip) {
+                this.skipped++;
+                return;
+              }
+              const document = this.model._applyGetters(value);
+              this.buffer.push(Query.project(document, this.fields));
+              this.returned++;
+              if (this.limit !== null && this.returned >= this.limit) {
+                this.done = true;
+                return false;
+              }
+              if (this.buffer.length >= this.batchSize) {
+                stopped = true;
+                return false;
+              }
+            },
+            options
+          )
+          .then((plan) => {
+            if (this.sort && !plan.ordered) {
+              if (bounded === null) (keys || []).sort(comparator);
+              this.sortedKeys = (keys || [])
+                .slice(this.skip, bounded === null ? undefined : bounded)
+                .map((entry) => entry.primaryKey);
+              if (this.sortedKeys.length === 0) this.done = true;
+              return;
+            }
+            if (!stopped) this.done = true;
+          });
+      },
+      this.collection
+    );
+  }
+
+  // Lee el siguiente lote de documentos por clave primaria, en el orden ya calculado
+  _fetchSorted() {
+    const batch = this.sortedKeys.splice(0, this.batchSize);
+    const filter = this._scopedFilter();
+
+    return this.model._executeTransaction(
+      "readonly",
+      (store) =>
+        Promise.all(
+          batch.map(
+            (key) =>
+              new Promise((resolve, reject) => {
+                const request = store.get(key);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+              })
+          )
+        ).then((items) => {
+          for (const item of items) {
+            // El documento pudo cambiar o borrarse entre lotes
+            if (!item) continue;
+            if (filter && !this.model._matchesQuery(item, filter)) {
+              continue;
+            }
+            const document = this.model._applyGetters(item);
+            this.buffer.push(Query.project(document, this.fields));
+          }
+          if (this.sortedKeys.length === 0) this.done = true;
+        }),
+      this.collection
+    );
+  }
+}
+
+export { Cursor };
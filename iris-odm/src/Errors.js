@@ -0,0 +1,81 @@
+/**
+ * @file Error classes: every error raised by IrisODM extends IrisError and carries a stable `code`
+ */
+
+class IrisError extends Error {
+  constructor(message, { code = "IRIS_ERROR", cause } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+class ValidationError extends IrisError {
+  /**
+   * Recibe la lista de fallos { path, kind, value, message } y los guarda en `errors`
+   * por ruta ('email', 'address.city', 'items.0.qty'); de cada ruta se conserva el primero.
+   * El mensaje enumera todos los fallos pero nunca incluye los datos del documento.
+   */
+  constructor(errors = []) {
+    const byPath = {};
+    for (const error of errors) {
+      if (!byPath[error.path]) byPath[error.path] = error;
+    }
+    const messages = errors.map((error) => error.message);
+    super(`Validation failed: ${messages.join(", ")}`, { code: "VALIDATION_ERROR" });
+    this.errors = byPath;
+  }
+
+  static unique(field, value) {
+    return new ValidationError([
+      { path: field, kind: "unique", value, message: `Field '${field}' must be unique` },
+    ]);
+  }
+}
+
+class NotFoundError extends IrisError {
+  constructor(message = "Item not found", { id, collection } = {}) {
+    super(message, { code: "NOT_FOUND" });
+    this.id = id;
+    this.collection = collection;
+  }
+}
+
+class QuotaError extends IrisError {
+  constructor(message = "Storage quota exceeded", { cause } = {}) {
+    super(message, { code: "QUOTA_EXCEEDED", cause });
+  }
+
+  // Convierte el QuotaExceededError del navegador en QuotaError; el resto se devuelve igual
+  static from(error) {
+    if (error?.name !== "QuotaExceededError") return error;
+    return new QuotaError(error.message || undefined, { cause: error });
+  }
+}
+
+// La versión guardada del documento no es la que esperaba la actualización
+class VersionConflictError extends IrisError {
+  constructor(message, { id, collection, expected, actual } = {}) {
+    super(message, { code: "VERSION_CONFLICT" });
+    this.id = id;
+    this.collection = collection;
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+class SyncError extends IrisError {
+  constructor(message, { status, cause } = {}) {
+    super(message, { code: "SYNC_ERROR", cause });
+    this.status = status;
+  }
+}
+
+export {
+  IrisError,
+  ValidationError,
+  NotFoundError,
+  QuotaError,
+  VersionConflictError,
+  SyncError,
+};
@@ -3,6 +3,7 @@
  */
 
 import { Crypto as crypto } from './Crypto.js';
+import { IrisError, QuotaError } from './Errors.js';
 
 class FileSystemManager {
   constructor(model, options = {}) {
@@ -70,7 +71,7 @@ class FileSystemManager {
   async exportToFile() {
     try {
       // Obtener todos los registros
-      const allData = await this.model.find();
+      const allData = await this.model.find(null, { withDeleted: true });
       // Si no hay soporte nativo, usar método fallback
       if (!FileSystemManager.isSupported()) {
         return await this._fallbackExport(allData);
@@ -105,13 +106,15 @@ class FileSystemManager {
         fileName: fileHandle.name,
         method: 'native'
       };
-    } catch (error) {      
+    } catch (exportError) {
+      // Sin espacio para escribir el archivo: QuotaError
+      const error = QuotaError.from(exportError);
       console.warn('Error en exportación:', error);
       
       // Si falla la exportación nativa, intentar fallback
       if (!FileSystemManager.isSupported()) {
         try {
-          const allData = await this.model.find();          
+          const allData = await this.model.find(null, { withDeleted: true });          
           return await this._fallbackExport(allData);
         } catch (fallbackError) {
           console.error('Error en fallback de exportación:', fallbackError);
@@ -121,6 +124,7 @@ class FileSystemManager {
       return {
         success: false,
         error: error.message,
+        code: error.code,
         supportInfo: this.supportInfo
       };
     }
@@ -141,7 +145,7 @@ class FileSystemManager {
           const importData = await crypto.decrypt(JSON.parse(fileContent));
           // Validar datos importados
           if (importData.modelName !== this.model.name) {
-            throw new Error('El archivo no corresponde a este modelo de base de datos');
+            throw new IrisError('El archivo no corresponde a este modelo de base de datos', { code: 'INVALID_BACKUP' });
           }
 
           // Limpiar datos existentes (opcional, configurable)
@@ -151,26 +155,29 @@ class FileSystemManager {
             for (const record of existingRecords) {
               await this.model.delete(record[this.model.primary]);
             }
+            // Con softDelete los registros solo se marcan: se eliminan del todo
+            if (this.model.softDelete) await this.model.purge();
           }
 
-          // Import new records
-          const importedRecords = [];
-          for (const record of importData.data) {
-            const imported = await this.model.create(record, { castToScheme: true });
-            importedRecords.push(imported);
-          }
+          // Import new records (una sola transacción; los registros inválidos se informan)
+          const result = await this.model.insertMany(importData.data, {
+            ordered: false,
+            castToScheme: true
+          });
 
           resolve({
             success: true,
             method: 'fallback',
-            recordsImported: importedRecords.length,
+            recordsImported: result.insertedCount,
+            errors: result.errors.map(({ index, message }) => ({ index, message })),
             timestamp: importData.timestamp
           });
         } catch (error) {
           console.warn('Error en importación fallback:', error);
           reject({
             success: false,
-            error: error.message
+            error: error.message,
+            code: error.code
           });
         }
       };
@@ -204,7 +211,7 @@ class FileSystemManager {
 
       // Validate imported data
       if (importData.modelName !== this.model.name) {
-        throw new Error('El archivo no corresponde a este modelo de base de datos');
+        throw new IrisError('El archivo no corresponde a este modelo de base de datos', { code: 'INVALID_BACKUP' });
       }
 
       // Limpiar datos existentes (opcional, configurable)
@@ -214,18 +221,17 @@ class FileSystemManager {
         for (const record of existingRecords) {
           await this.model.delete(record.id);
         }
+        // Con softDelete los registros solo se marcan: se eliminan del todo
+        if (this.model.softDelete) await this.model.purge();
       }
 
-      // Importar nuevos registros
-      const importedRecords = [];
-      for (const record of importData.data) {
-        const imported = await this.model.create(record);
-        importedRecords.push(imported);
-      }
+      // Importar nuevos registros en una sola transacción
+      const result = await this.model.insertMany(importData.data, { ordered: false });
 
       return {
         success: true,
-        recordsImported: importedRecords.length,
+        recordsImported: result.insertedCount,
+        errors: result.errors.map(({ index, message }) => ({ index, message })),
         fileName: fileHandle.name,
         timestamp: importData.timestamp,
         method: 'native'
@@ -245,6 +251,7 @@ class FileSystemManager {
       return {
         success: false,
         error: error.message,
+        code: error.code,
         supportInfo: this.supportInfo
       };
     }
@@ -0,0 +1,49 @@
+/**
+ * @file IndexedDBAdapter class: default storage backend, a thin wrapper over the browser's
+ * IndexedDB (or any compatible factory, such as fake-indexeddb in Node)
+ */
+
+import { StorageAdapter } from "./StorageAdapter.js";
+
+class IndexedDBAdapter extends StorageAdapter {
+  // Sin `factory` se usa el indexedDB global al abrir, no al importar el módulo
+  constructor({ factory = null, keyRange = null } = {}) {
+    super();
+    this._factory = factory;
+    this._keyRange = keyRange;
+  }
+
+  get factory() {
+    const factory = this._factory || globalThis.indexedDB;
+    if (!factory) {
+      throw new Error(
+        "IndexedDB is not available in this environment. Use another storage adapter, such as MemoryAdapter"
+      );
+    }
+    return factory;
+  }
+
+  get KeyRange() {
+    return this._keyRange || globalThis.IDBKeyRange;
+  }
+
+  open(name, version) {
+    return version === undefined
+      ? this.factory.open(name)
+      : this.factory.open(name, version);
+  }
+
+  deleteDatabase(name) {
+    return this.factory.deleteDatabase(name);
+  }
+
+  databases() {
+    return this.factory.databases();
+  }
+
+  cmp(a, b) {
+    return this.factory.cmp(a, b);
+  }
+}
+
+export { IndexedDBAdapter };
@@ -126,36 +126,41 @@ class IrisUtils {
       minSpaceRequired = 100 * 1024 * 1024, // 100MB por defecto
     } = options;
 
+    // Los documentos caducados (índices TTL) se eliminan siempre, sin esperar al barrido
+    await model.sweepExpired();
+
     const quota = await this.checkStorageQuota();
 
     if (quota.available < minSpaceRequired) {
       const cutoffDate = new Date(Date.now() - olderThan);
 
-      // Si existe un campo de fecha, lo usamos
-      if (
-        model.schema.definition.createdAt ||
-        model.schema.definition.updatedAt
-      ) {
-        const dateField = model.schema.definition.updatedAt
-          ? "updatedAt"
-          : "createdAt";
+      // Si existe un campo de fecha (los de timestamps o createdAt/updatedAt), lo usamos
+      const definition = model.schema.definition;
+      const timestamps = model.schema.timestamps || {};
+      const dateField =
+        timestamps.updatedAt ||
+        timestamps.createdAt ||
+        (definition.updatedAt ? "updatedAt" : null) ||
+        (definition.createdAt ? "createdAt" : null);
+      if (dateField) {
         await model.deleteMany({ [dateField]: { $lt: cutoffDate } });
       }
+      // Con softDelete, deleteMany solo marca: se eliminan los borrados antes del corte
+      if (model.softDelete) {
+        await model.purge({ [model.softDelete]: { $lt: cutoffDate } });
+      }
 
-      // Si se especificó un máximo de entradas
-      if (maxEntries) {
-        const allEntries = await model.find();
-        if (allEntries.length > maxEntries) {
-          const entriesToDelete = allEntries
-            .sort(
-              (a, b) =>
-                (a.updatedAt || a.createdAt) - (b.updatedAt || b.createdAt)
-            )
-            .slice(0, allEntries.length - maxEntries);
-
-          for (const entry of entriesToDelete) {
-            await model.delete(entry.id);
-          }
+      // Si se especificó un máximo de entradas, se eliminan las más antiguas
+      if (maxEntries && dateField) {
+        const total = await model.count();
+        if (total > maxEntries) {
+          const entriesToDelete = await model
+            .find()
+            .sort({ [dateField]: 1 })
+            .limit(total - maxEntries)
+            .select([model.primary]);
+          const ids = entriesToDelete.map((entry) => entry[model.primary]);
+          await model.deleteMany({ [model.primary]: { $in: ids } });
         }
       }
     }
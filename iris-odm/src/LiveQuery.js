@@ -0,0 +1,90 @@
+/**
+ * @file LiveQuery class: re-runs a query and pushes fresh result sets whenever matching data changes
+ */
+
+class LiveQuery {
+  constructor(model, query = null, options = {}) {
+    this.model = model;
+    this.query = query;
+    this.options = options;
+    this.subscribers = new Set();
+    this.unwatch = null;
+    this.results = null;
+    // Evita solapar consultas: si llegan cambios durante una, se repite al terminar
+    this.running = null;
+    this.dirty = false;
+    this.pending = [];
+  }
+
+  /**
+   * Llama a `callback(results, changes)` con el resultado actual y de nuevo tras cada
+   * transacción que afecte a la consulta. Devuelve una función para cancelar.
+   */
+  subscribe(callback, onError = (error) => console.error(error)) {
+    const subscriber = { callback, onError };
+    this.subscribers.add(subscriber);
+
+    if (!this.unwatch) {
+      this.unwatch = this.model.changes.subscribe({
+        query: this.query,
+        collection: this.options.collection,
+        onBatch: (changes) => this.refresh(changes),
+      });
+      this.refresh([]);
+    } else if (this.results) {
+      callback(this.results, []);
+    }
+
+    return () => {
+      this.subscribers.delete(subscriber);
+      if (this.subscribers.size === 0) this.close();
+    };
+  }
+
+  close() {
+    if (this.unwatch) this.unwatch();
+    this.unwatch = null;
+    this.subscribers.clear();
+    this.results = null;
+  }
+
+  refresh(changes) {
+    if (this.running) {
+      this.dirty = true;
+      this.pending.push(...changes);
+      return this.running;
+    }
+    this.running = this.model
+      .find(this.query, this.options)
+      .then(
+        (results) => {
+          if (!this.unwatch) return;
+          this.results = results;
+          this._notify("callback", results, changes);
+        },
+        (error) => this._notify("onError", error)
+      )
+      .finally(() => {
+        this.running = null;
+        if (this.dirty && this.unwatch) {
+          const pending = this.pending;
+          this.dirty = false;
+          this.pending = [];
+          this.refresh(pending);
+        }
+      });
+    return this.running;
+  }
+
+  _notify(handler, ...args) {
+    for (const subscriber of Array.from(this.subscribers)) {
+      try {
+        subscriber[handler](...args);
+      } catch (error) {
+        console.error("Error in live query subscriber:", error);
+      }
+    }
+  }
+}
+
+export { LiveQuery };
@@ -0,0 +1,298 @@
+/**
+ * @file Matcher class: evaluates Mongo-style query documents against plain objects
+ */
+
+import { StorageAdapter } from "./StorageAdapter.js";
+
+const LOGICAL_OPERATORS = ["$and", "$or", "$nor"];
+const FIELD_OPERATORS = [
+  "$eq",
+  "$ne",
+  "$gt",
+  "$gte",
+  "$lt",
+  "$lte",
+  "$in",
+  "$nin",
+  "$exists",
+  "$regex",
+  "$options",
+  "$size",
+  "$all",
+  "$elemMatch",
+  "$not",
+];
+
+class Matcher {
+  // Evalúa una consulta completa sobre un documento
+  static matches(item, query) {
+    if (!query) return true;
+    return Object.entries(query).every(([key, condition]) => {
+      if (key.startsWith("$")) {
+        return Matcher.matchesLogical(item, key, condition);
+      }
+      return Matcher.matchesCondition(Matcher.getValues(item, key), condition);
+    });
+  }
+
+  // Comprueba los operadores de la consulta antes de recorrer ningún registro
+  static validate(query) {
+    if (!query) return;
+    for (const [key, condition] of Object.entries(query)) {
+      if (key.startsWith("$")) {
+        if (!LOGICAL_OPERATORS.includes(key)) {
+          throw new Error(`Unknown query operator '${key}'`);
+        }
+        if (!Array.isArray(condition) || condition.length === 0) {
+          throw new Error(`Operator '${key}' expects a non-empty array`);
+        }
+        condition.forEach((subquery) => Matcher.validate(subquery));
+      } else if (Matcher.isOperatorObject(condition)) {
+        Matcher.validateCondition(condition);
+      }
+    }
+  }
+
+  static validateCondition(condition) {
+    for (const [operator, operand] of Object.entries(condition)) {
+      if (!FIELD_OPERATORS.includes(operator)) {
+        throw new Error(`Unknown query operator '${operator}'`);
+      }
+      if (operator === "$not" && Matcher.isOperatorObject(operand)) {
+        Matcher.validateCondition(operand);
+      }
+      if (operator === "$elemMatch" && Matcher.isPlainObject(operand)) {
+        if (Matcher.isOperatorObject(operand)) Matcher.validateCondition(operand);
+        else Matcher.validate(operand);
+      }
+    }
+  }
+
+  static matchesLogical(item, operator, queries) {
+    if (!LOGICAL_OPERATORS.includes(operator)) {
+      throw new Error(`Unknown query operator '${operator}'`);
+    }
+    if (!Array.isArray(queries) || queries.length === 0) {
+      throw new Error(`Operator '${operator}' expects a non-empty array`);
+    }
+    switch (operator) {
+      case "$and":
+        return queries.every((query) => Matcher.matches(item, query));
+      case "$or":
+        return queries.some((query) => Matcher.matches(item, query));
+      case "$nor":
+        return !queries.some((query) => Matcher.matches(item, query));
+    }
+  }
+
+  // Evalúa la condición de un campo sobre los valores encontrados en su ruta
+  static matchesCondition(values, condition) {
+    if (condition instanceof RegExp) {
+      return Matcher.expand(values).some(
+        (value) => typeof value === "string" && condition.test(value)
+      );
+    }
+    if (!Matcher.isOperatorObject(condition)) {
+      return Matcher.matchesEquality(values, condition);
+    }
+    return Object.entries(condition).every(([operator, operand]) => {
+      if (operator === "$options") return true;
+      return Matcher.matchesOperator(values, operator, operand, condition);
+    });
+  }
+
+  static matchesOperator(values, operator, operand, condition) {
+    const expanded = Matcher.expand(values);
+    switch (operator) {
+      case "$eq":
+        return Matcher.matchesEquality(values, operand);
+      case "$ne":
+        return !Matcher.matchesEquality(values, operand);
+      case "$gt":
+        return Matcher.compareAny(expanded, operand, (diff) => diff > 0);
+      case "$gte":
+        return Matcher.compareAny(expanded, operand, (diff) => diff >= 0);
+      case "$lt":
+        return Matcher.compareAny(expanded, operand, (diff) => diff < 0);
+      case "$lte":
+        return Matcher.compareAny(expanded, operand, (diff) => diff <= 0);
+      case "$in":
+        Matcher.assertArray(operator, operand);
+        return operand.some((expected) =>
+          expected instanceof RegExp
+            ? Matcher.matchesCondition(values, expected)
+            : Matcher.matchesEquality(values, expected)
+        );
+      case "$nin":
+        Matcher.assertArray(operator, operand);
+        return !operand.some((expected) =>
+          expected instanceof RegExp
+            ? Matcher.matchesCondition(values, expected)
+            : Matcher.matchesEquality(values, expected)
+        );
+      case "$exists":
+        return values.some((value) => value !== undefined) === Boolean(operand);
+      case "$regex": {
+        const regex =
+          operand instanceof RegExp
+            ? operand
+            : new RegExp(operand, condition.$options || "");
+        return Matcher.matchesCondition(values, regex);
+      }
+      case "$size":
+        return values.some(
+          (value) => Array.isArray(value) && value.length === operand
+        );
+      case "$all":
+        Matcher.assertArray(operator, operand);
+        return values.some(
+          (value) =>
+            Array.isArray(value) &&
+            operand.length > 0 &&
+            operand.every((expected) =>
+              Matcher.matchesCondition([value], expected)
+            )
+        );
+      case "$elemMatch":
+        return values.some(
+          (value) =>
+            Array.isArray(value) &&
+            value.some((element) =>
+              Matcher.isOperatorObject(operand)
+                ? Matcher.matchesCondition([element], operand)
+                : Matcher.isPlainObject(element) &&
+                  Matcher.matches(element, operand)
+            )
+        );
+      case "$not":
+        if (!(operand instanceof RegExp) && !Matcher.isOperatorObject(operand)) {
+          throw new Error("Operator '$not' expects an operator object or RegExp");
+        }
+        return !Matcher.matchesCondition(values, operand);
+      default:
+        throw new Error(`Unknown query operator '${operator}'`);
+    }
+  }
+
+  // Igualdad estilo Mongo: también coincide con elementos de arrays; null coincide con campos ausentes
+  static matchesEquality(values, expected) {
+    if (expected === null || expected === undefined) {
+      return values.some((value) => value === null || value === undefined);
+    }
+    return Matcher.expand(values).some((value) =>
+      Matcher.equals(value, expected)
+    );
+  }
+
+  /*
+   * Si el operando es una clave de IndexedDB se compara con el orden de las claves
+   * (números < fechas < strings < binarios < arrays), el mismo que recorre un índice, y los
+   * valores que no son claves no coinciden; si no, con los operadores de JS
+   */
+  static compareAny(values, operand, predicate) {
+    const keyed = StorageAdapter.isValidKey(operand);
+    return values.some((value) => {
+      if (value === undefined || value === null || Array.isArray(value)) return false;
+      if (keyed) {
+        return (
+          StorageAdapter.isValidKey(value) &&
+          predicate(StorageAdapter.compareKeys(value, operand))
+        );
+      }
+      return predicate(value > operand ? 1 : value < operand ? -1 : value >= operand ? 0 : NaN);
+    });
+  }
+
+  // Añade los elementos de los arrays a la lista de valores candidatos
+  static expand(values) {
+    const expanded = [];
+    for (const value of values) {
+      expanded.push(value);
+      if (Array.isArray(value)) expanded.push(...value);
+    }
+    return expanded;
+  }
+
+  static equals(a, b) {
+    if (a === b) return true;
+    if (a instanceof Date && b instanceof Date) {
+      return a.getTime() === b.getTime();
+    }
+    if (Array.isArray(a) && Array.isArray(b)) {
+      return (
+        a.length === b.length && a.every((value, i) => Matcher.equals(value, b[i]))
+      );
+    }
+    if (Matcher.isPlainObject(a) && Matcher.isPlainObject(b)) {
+      const keys = Object.keys(a);
+      return (
+        keys.length === Object.keys(b).length &&
+        keys.every((key) => Matcher.equals(a[key], b[key]))
+      );
+    }
+    return false;
+  }
+
+  static isPlainObject(value) {
+    return (
+      value !== null &&
+      typeof value === "object" &&
+      !Array.isArray(value) &&
+      !(value instanceof Date) &&
+      !(value instanceof RegExp)
+    );
+  }
+
+  static isOperatorObject(value) {
+    if (!Matcher.isPlainObject(value)) return false;
+    const keys = Object.keys(value);
+    return keys.length > 0 && keys.every((key) => key.startsWith("$"));
+  }
+
+  static assertArray(operator, operand) {
+    if (!Array.isArray(operand)) {
+      throw new Error(`Operator '${operator}' expects an array`);
+    }
+  }
+
+  /**
+   * Devuelve todos los valores alcanzados por una ruta con puntos ("address.city").
+   * Los arrays intermedios se recorren elemento a elemento ("items.name"), salvo que
+   * el segmento sea un índice numérico ("items.0.name").
+   */
+  static getValues(item, path) {
+    return Matcher.resolve(item, path.split("."));
+  }
+
+  static resolve(value, segments) {
+    if (segments.length === 0) return [value];
+    if (value === null || value === undefined || typeof value !== "object") {
+      return [undefined];
+    }
+    const [head, ...rest] = segments;
+    if (Array.isArray(value) && !/^\d+$/.test(head)) {
+      const values = [];
+      for (const element of value) {
+        if (element !== null && typeof element === "object") {
+          values.push(...Matcher.resolve(element, segments));
+        }
+      }
+      return values.length > 0 ? values : [undefined];
+    }
+    return Matcher.resolve(value[head], rest);
+  }
+
+  // Devuelve el primer valor de una ruta con puntos (sin recorrer arrays)
+  static getPath(item, path) {
+    if (!path.includes(".")) return item?.[path];
+    return path
+      .split(".")
+      .reduce(
+        (value, segment) =>
+          value === null || value === undefined ? undefined : value[segment],
+        item
+      );
+  }
+}
+
+export { Matcher };
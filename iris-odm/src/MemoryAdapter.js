@@ -0,0 +1,1207 @@
+/**
+ * @file MemoryAdapter class: in-memory storage backend implementing the part of the IndexedDB
+ * API used by Model (versioned databases, transactions, stores, indexes and cursors). Data
+ * lives in the adapter instance and is lost with the process: meant for Node, tests and SSR
+ */
+
+import { StorageAdapter } from "./StorageAdapter.js";
+
+const compare = StorageAdapter.compareKeys;
+const isKey = StorageAdapter.isValidKey;
+
+// Errores con el mismo `name` que los de IndexedDB (ConstraintError, DataError, ...)
+const domError = (name, message) =>
+  typeof DOMException === "function"
+    ? new DOMException(message, name)
+    : Object.assign(new Error(message), { name });
+
+// Ejecuta una tarea nueva, después de las microtareas pendientes, como los eventos de IndexedDB
+const nextTask = (() => {
+  if (typeof setImmediate === "function") return setImmediate;
+  if (typeof MessageChannel === "function") {
+    const tasks = [];
+    const channel = new MessageChannel();
+    channel.port1.onmessage = () => tasks.shift()();
+    return (task) => {
+      tasks.push(task);
+      channel.port2.postMessage(null);
+    };
+  }
+  return (task) => setTimeout(task, 0);
+})();
+
+const clone = (value) => structuredClone(value);
+
+// Un error en un manejador de eventos no debe romper el bucle de tareas
+const report = (callback) => {
+  try {
+    callback();
+  } catch (error) {
+    console.error(error);
+  }
+};
+
+// Lista de nombres ordenada con la interfaz de DOMStringList (contains, item, length)
+const stringList = (names) => {
+  const list = Array.from(names).sort();
+  list.contains = (name) => list.includes(name);
+  list.item = (index) => list[index] ?? null;
+  return list;
+};
+
+const createEvent = (type, target, detail = {}) => ({
+  type,
+  target,
+  defaultPrevented: false,
+  cancelBubble: false,
+  preventDefault() {
+    this.defaultPrevented = true;
+  },
+  stopPropagation() {
+    this.cancelBubble = true;
+  },
+  ...detail,
+});
+
+// Valor de un keyPath ('campo', 'a.b' o ['a', 'b']) en un registro
+const extractKey = (value, keyPath) => {
+  if (Array.isArray(keyPath)) return keyPath.map((path) => extractKey(value, path));
+  if (keyPath === "") return value;
+  let current = value;
+  for (const segment of keyPath.split(".")) {
+    if (current === null || typeof current !== "object") return undefined;
+    current = current[segment];
+  }
+  return current;
+};
+
+class MemoryKeyRange {
+  constructor(lower, upper, lowerOpen, upperOpen) {
+    this.lower = lower;
+    this.upper = upper;
+    this.lowerOpen = lowerOpen;
+    this.upperOpen = upperOpen;
+  }
+
+  static only(value) {
+    MemoryKeyRange.assertKey(value);
+    return new MemoryKeyRange(value, value, false, false);
+  }
+
+  static lowerBound(lower, open = false) {
+    MemoryKeyRange.assertKey(lower);
+    return new MemoryKeyRange(lower, undefined, open, true);
+  }
+
+  static upperBound(upper, open = false) {
+    MemoryKeyRange.assertKey(upper);
+    return new MemoryKeyRange(undefined, upper, true, open);
+  }
+
+  static bound(lower, upper, lowerOpen = false, upperOpen = false) {
+    MemoryKeyRange.assertKey(lower);
+    MemoryKeyRange.assertKey(upper);
+    const diff = compare(lower, upper);
+    if (diff > 0 || (diff === 0 && (lowerOpen || upperOpen))) {
+      throw domError("DataError", "The lower bound is greater than the upper bound");
+    }
+    return new MemoryKeyRange(lower, upper, lowerOpen, upperOpen);
+  }
+
+  static assertKey(value) {
+    if (!isKey(value)) throw domError("DataError", "The parameter is not a valid key");
+  }
+
+  includes(key) {
+    return aboveLower(this, key) && belowUpper(this, key);
+  }
+}
+
+// Los rangos pueden ser MemoryKeyRange o IDBKeyRange: solo se leen lower, upper y sus *Open
+const aboveLower = (range, key) => {
+  if (!range || range.lower === undefined) return true;
+  const diff = compare(key, range.lower);
+  return diff > 0 || (diff === 0 && !range.lowerOpen);
+};
+
+const belowUpper = (range, key) => {
+  if (!range || range.upper === undefined) return true;
+  const diff = compare(key, range.upper);
+  return diff < 0 || (diff === 0 && !range.upperOpen);
+};
+
+// Acepta una clave, un rango o nada (todo el almacén)
+const toRange = (query) => {
+  if (query === undefined || query === null) return null;
+  if (isKey(query)) return MemoryKeyRange.only(query);
+  if (typeof query === "object" && ("lower" in query || "upper" in query)) return query;
+  throw domError("DataError", "The parameter is not a valid key or key range");
+};
+
+// Primera posición de una lista ordenada que cumple `test` (false... false, true... true)
+const firstIndex = (entries, test) => {
+  let low = 0;
+  let high = entries.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (test(entries[middle])) high = middle;
+    else low = middle + 1;
+  }
+  return low;
+};
+
+// Compara una entrada con la posición (key, primaryKey); sin primaryKey solo cuenta la clave
+const comparePosition = (entry, key, primaryKey) =>
+  compare(entry.key, key) ||
+  (primaryKey === undefined ? 0 : compare(entry.primaryKey, primaryKey));
+
+// Entradas de una lista ordenada dentro de un rango, hasta `count`
+const select = (entries, range, count) => {
+  const selected = [];
+  let position = firstIndex(entries, (entry) => aboveLower(range, entry.key));
+  while (
+    position < entries.length &&
+    belowUpper(range, entries[position].key) &&
+    (!count || selected.length < count)
+  ) {
+    selected.push(entries[position++]);
+  }
+  return selected;
+};
+
+/*
+ * Datos de un almacén: registros { key, primaryKey, value } ordenados por clave, definiciones
+ * de índices y, por índice, sus entradas { key, primaryKey, value } ya ordenadas (se calculan
+ * la primera vez que se usan y se mantienen en cada escritura)
+ */
+const createStore = (name, keyPath, autoIncrement) => ({
+  name,
+  keyPath,
+  autoIncrement,
+  records: [],
+  indexes: new Map(),
+  entries: new Map(),
+});
+
+// Copia para deshacer una transacción; los registros no se modifican nunca, se reemplazan
+const copyStore = (data) => ({
+  ...data,
+  records: data.records.slice(),
+  indexes: new Map(data.indexes),
+  entries: new Map(),
+});
+
+// Claves de índice de un registro: ninguna si no es válida, varias con multiEntry
+const indexKeys = (index, value) => {
+  const key = extractKey(value, index.keyPath);
+  if (index.multiEntry && Array.isArray(key)) {
+    const keys = [];
+    for (const item of key) {
+      if (isKey(item) && !keys.some((existing) => compare(existing, item) === 0)) {
+        keys.push(item);
+      }
+    }
+    return keys;
+  }
+  return isKey(key) ? [key] : [];
+};
+
+const indexEntries = (data, index) => {
+  let entries = data.entries.get(index.name);
+  if (!entries) {
+    entries = [];
+    for (const record of data.records) {
+      for (const key of indexKeys(index, record.value)) {
+        entries.push({ key, primaryKey: record.key, value: record.value });
+      }
+    }
+    entries.sort((a, b) => compare(a.key, b.key) || compare(a.primaryKey, b.primaryKey));
+    data.entries.set(index.name, entries);
+  }
+  return entries;
+};
+
+// Actualiza las entradas de los índices ya calculados al cambiar un registro
+const reindex = (data, primaryKey, previous, value) => {
+  for (const index of data.indexes.values()) {
+    const entries = data.entries.get(index.name);
+    if (!entries) continue;
+    const at = (key) =>
+      firstIndex(entries, (entry) => comparePosition(entry, key, primaryKey) >= 0);
+    if (previous) {
+      for (const key of indexKeys(index, previous)) entries.splice(at(key), 1);
+    }
+    if (value) {
+      for (const key of indexKeys(index, value)) {
+        entries.splice(at(key), 0, { key, primaryKey, value });
+      }
+    }
+  }
+};
+
+const assertUnique = (data, primaryKey, value) => {
+  for (const index of data.indexes.values()) {
+    if (!index.unique) continue;
+    const entries = indexEntries(data, index);
+    for (const key of indexKeys(index, value)) {
+      let position = firstIndex(entries, (entry) => compare(entry.key, key) >= 0);
+      for (; position < entries.length && compare(entries[position].key, key) === 0; position++) {
+        if (compare(entries[position].primaryKey, primaryKey) !== 0) {
+          throw domError("ConstraintError", `Unique index '${index.name}' already has this key`);
+        }
+      }
+    }
+  }
+};
+
+const writeRecord = (data, key, value, overwrite) => {
+  const position = firstIndex(data.records, (record) => compare(record.key, key) >= 0);
+  const current = data.records[position];
+  const existing = current && compare(current.key, key) === 0 ? current : null;
+  if (existing && !overwrite) {
+    throw domError("ConstraintError", "A record with this key already exists");
+  }
+  assertUnique(data, key, value);
+  const record = { key, primaryKey: key, value };
+  if (existing) data.records[position] = record;
+  else data.records.splice(position, 0, record);
+  reindex(data, key, existing && existing.value, value);
+  return key;
+};
+
+// Elimina los registros del rango y los devuelve
+const deleteRecords = (data, range) => {
+  const start = firstIndex(data.records, (record) => aboveLower(range, record.key));
+  let end = start;
+  while (end < data.records.length && belowUpper(range, data.records[end].key)) end++;
+  const removed = data.records.splice(start, end - start);
+  for (const record of removed) reindex(data, record.key, record.value, null);
+  return removed;
+};
+
+// Eventos al estilo DOM: manejador on<tipo> y addEventListener
+class MemoryEventTarget {
+  constructor() {
+    this._listeners = new Map();
+  }
+
+  addEventListener(type, listener) {
+    if (!this._listeners.has(type)) this._listeners.set(type, new Set());
+    this._listeners.get(type).add(listener);
+  }
+
+  removeEventListener(type, listener) {
+    this._listeners.get(type)?.delete(listener);
+  }
+
+  _dispatch(type, event) {
+    const handler = this[`on${type}`];
+    if (typeof handler === "function") handler.call(this, event);
+    for (const listener of this._listeners.get(type) || []) listener.call(this, event);
+  }
+}
+
+class MemoryRequest extends MemoryEventTarget {
+  constructor(source = null, transaction = null) {
+    super();
+    this.source = source;
+    this.transaction = transaction;
+    this.readyState = "pending";
+    this.result = undefined;
+    this.error = null;
+    this.onsuccess = null;
+    this.onerror = null;
+  }
+
+  _succeed(result, detail) {
+    this.readyState = "done";
+    this.result = result;
+    this.error = null;
+    const event = createEvent("success", this, detail);
+    this._dispatch("success", event);
+    return event;
+  }
+
+  _fail(error) {
+    this.readyState = "done";
+    this.result = undefined;
+    this.error = error;
+    const event = createEvent("error", this);
+    this._dispatch("error", event);
+    return event;
+  }
+}
+
+// Base de una base de datos compartida por sus conexiones; las transacciones se ejecutan de una en una
+class MemoryBackend {
+  constructor(name, adapter) {
+    this.name = name;
+    this.adapter = adapter;
+    this.version = 0;
+    this.stores = new Map();
+    this.queue = [];
+    this.active = null;
+    this.deleted = false;
+    // Conexiones abiertas, avisadas con `versionchange` antes de actualizar o borrar la base de datos
+    this.connections = new Set();
+    // Actualizaciones bloqueadas: { blocking, resolve }, a la espera de que se cierren esas conexiones
+    this.waiting = [];
+  }
+
+  // Crea la base de datos a partir del estado que devuelve MemoryAdapter#_dump
+  static restore(name, adapter, state) {
+    const backend = new MemoryBackend(name, adapter);
+    if (!state) return backend;
+    backend.version = state.version;
+    for (const store of state.stores) {
+      const data = createStore(store.name, store.keyPath, store.autoIncrement);
+      for (const index of store.indexes) data.indexes.set(index.name, { ...index });
+      data.records = store.records
+        .map(([key, value]) => ({ key, primaryKey: key, value }))
+        .sort((a, b) => compare(a.key, b.key));
+      backend.stores.set(store.name, data);
+    }
+    return backend;
+  }
+
+  /*
+   * Avisa a las demás conexiones con `versionchange`. Con `request` (una apertura), si alguna
+   * conexión ya abierta no se cierra, se lanza `blocked` en la petición y la promesa devuelta
+   * no se resuelve hasta que se cierren, como en IndexedDB. Sin `request` no se espera
+   */
+  versionChange(except, oldVersion, newVersion, request = null) {
+    const others = Array.from(this.connections).filter((connection) => connection !== except);
+    for (const connection of others) {
+      report(() =>
+        connection._dispatch(
+          "versionchange",
+          createEvent("versionchange", connection, { oldVersion, newVersion })
+        )
+      );
+    }
+    // Las aperturas que aún esperan su propia actualización no bloquean
+    const blocking = others.filter(
+      (connection) =>
+        !connection._closed &&
+        (!connection._upgrade || connection._upgrade._state === "finished")
+    );
+    if (!request || blocking.length === 0) return Promise.resolve();
+    const waiting = new Promise((resolve) => this.waiting.push({ blocking, resolve }));
+    report(() =>
+      request._dispatch("blocked", createEvent("blocked", request, { oldVersion, newVersion }))
+    );
+    return waiting;
+  }
+
+  // Se llama al cerrarse una conexión: sigue con las actualizaciones que ya no están bloqueadas
+  closed() {
+    this.waiting = this.waiting.filter(({ blocking, resolve }) => {
+      if (blocking.some((connection) => !connection._closed)) return true;
+      resolve();
+      return false;
+    });
+  }
+
+  schedule(transaction) {
+    this.queue.push(transaction);
+    this.next();
+  }
+
+  finished(transaction) {
+    if (this.active === transaction) this.active = null;
+    this.queue = this.queue.filter((queued) => queued !== transaction);
+    this.next();
+  }
+
+  next() {
+    if (this.active || this.queue.length === 0) return;
+    this.active = this.queue.shift();
+    this.active._start();
+  }
+}
+
+class MemoryTransaction extends MemoryEventTarget {
+  constructor(db, names, mode) {
+    super();
+    this.db = db;
+    this.mode = mode;
+    this.error = null;
+    this.oncomplete = null;
+    this.onerror = null;
+    this.onabort = null;
+    this._names = names;
+    this._handles = new Map();
+    this._queue = [];
+    this._state = "waiting";
+    // Copias para deshacer: de cada almacén antes de su primera escritura o, en una
+    // versionchange, de toda la base de datos
+    this._copies = new Map();
+    this._snapshot = null;
+    // Petición de apertura que provocó la versionchange: { request, oldVersion, newVersion }
+    this._upgrade = null;
+    // Escrituras aplicadas { store, type: 'put' | 'delete' | 'clear', key, value }, en orden
+    this._changes = [];
+  }
+
+  get objectStoreNames() {
+    return stringList(
+      this.mode === "versionchange" ? this.db._backend.stores.keys() : this._names
+    );
+  }
+
+  objectStore(name) {
+    if (this._state === "finished") {
+      throw domError("InvalidStateError", "The transaction has finished");
+    }
+    if (!this.objectStoreNames.contains(name)) {
+      throw domError("NotFoundError", `Object store '${name}' is not in the transaction`);
+    }
+    if (!this._handles.has(name)) this._handles.set(name, new MemoryObjectStore(this, name));
+    return this._handles.get(name);
+  }
+
+  abort() {
+    if (this._state === "finished" || this._state === "committing") {
+      throw domError("InvalidStateError", "The transaction has already finished");
+    }
+    this._abort(null);
+  }
+
+  _data(name) {
+    const data = this.db._backend.stores.get(name);
+    if (!data) throw domError("InvalidStateError", `Object store '${name}' was deleted`);
+    return data;
+  }
+
+  _assertWritable() {
+    if (this.mode === "readonly") {
+      throw domError("ReadOnlyError", "The transaction is read-only");
+    }
+  }
+
+  // Datos de un almacén que se va a modificar, guardando antes su copia
+  _write(name) {
+    const data = this._data(name);
+    if (this.mode === "readwrite" && !this._copies.has(name)) {
+      this._copies.set(name, copyStore(data));
+    }
+    return data;
+  }
+
+  // Escrituras sobre los datos; quedan anotadas para los adaptadores que las guardan
+  _put(name, key, value, overwrite) {
+    writeRecord(this._write(name), key, value, overwrite);
+    this._changes.push({ store: name, type: "put", key, value });
+    return key;
+  }
+
+  _delete(name, range) {
+    for (const record of deleteRecords(this._write(name), range)) {
+      this._changes.push({ store: name, type: "delete", key: record.key });
+    }
+  }
+
+  _clear(name) {
+    const data = this._write(name);
+    data.records = [];
+    data.entries.clear();
+    this._changes.push({ store: name, type: "clear" });
+  }
+
+  // Encola una operación; su resultado (o su error) llega a la petición en una tarea posterior
+  _request(source, operation, request = new MemoryRequest(source, this)) {
+    if (this._state === "finished" || this._state === "committing") {
+      throw domError("TransactionInactiveError", "The transaction has finished");
+    }
+    request.readyState = "pending";
+    this._queue.push({ request, operation });
+    return request;
+  }
+
+  _start() {
+    if (this._state === "finished") return this.db._backend.finished(this);
+    this._state = "active";
+    nextTask(() => {
+      if (this._upgrade) {
+        const backend = this.db._backend;
+        const { request, oldVersion, newVersion } = this._upgrade;
+        this._snapshot = {
+          version: backend.version,
+          stores: new Map(
+            Array.from(backend.stores, ([name, data]) => [name, copyStore(data)])
+          ),
+        };
+        backend.version = newVersion;
+        this.db.version = newVersion;
+        request.transaction = this;
+        request.readyState = "done";
+        request.result = this.db;
+        try {
+          request._dispatch(
+            "upgradeneeded",
+            createEvent("upgradeneeded", request, { oldVersion, newVersion })
+          );
+        } catch (error) {
+          return this._abort(error);
+        }
+      }
+      nextTask(() => this._step());
+    });
+  }
+
+  // Cada petición se resuelve en su propia tarea; sin peticiones pendientes se confirma
+  _step() {
+    if (this._state === "finished") return;
+    const item = this._queue.shift();
+    if (!item) return this._commit();
+    this._run(item);
+    nextTask(() => this._step());
+  }
+
+  _run({ request, operation }) {
+    let result;
+    try {
+      result = operation();
+    } catch (error) {
+      if (!request) return this._abort(error);
+      let event;
+      try {
+        event = request._fail(error);
+        // El error sube a la transacción salvo con stopPropagation; solo preventDefault
+        // evita que se aborte
+        if (!event.cancelBubble) this._dispatch("error", event);
+      } catch (handlerError) {
+        return this._abort(handlerError);
+      }
+      if (!event.defaultPrevented) this._abort(error);
+      return;
+    }
+    try {
+      request._succeed(result);
+    } catch (error) {
+      this._abort(error);
+    }
+  }
+
+  // El adaptador puede guardar los cambios antes de confirmar; si falla, la transacción se aborta
+  _commit() {
+    this._state = "committing";
+    const backend = this.db._backend;
+    let saving;
+    try {
+      saving = backend.deleted ? null : backend.adapter._persist(backend, this);
+    } catch (error) {
+      return this._abort(error);
+    }
+    if (!saving) return this._complete();
+    saving.then(
+      () => this._complete(),
+      (error) => this._abort(error)
+    );
+  }
+
+  _complete() {
+    this._state = "finished";
+    report(() => this._dispatch("complete", createEvent("complete", this)));
+    this.db._backend.finished(this);
+    if (this._upgrade) {
+      const { request } = this._upgrade;
+      request.transaction = null;
+      report(() => request._succeed(this.db));
+    }
+  }
+
+  // Deshace los cambios al momento y entrega los eventos de error y abort en otra tarea
+  _abort(error) {
+    if (this._state === "finished") return;
+    this._state = "finished";
+    this.error = error;
+    const backend = this.db._backend;
+    if (this._snapshot) {
+      backend.version = this._snapshot.version;
+      backend.stores = this._snapshot.stores;
+    }
+    for (const [name, data] of this._copies) backend.stores.set(name, data);
+    const pending = this._queue.splice(0);
+
+    nextTask(() => {
+      for (const { request } of pending) {
+        if (request) report(() => request._fail(domError("AbortError", "The transaction was aborted")));
+      }
+      report(() => this._dispatch("abort", createEvent("abort", this)));
+      backend.finished(this);
+      if (this._upgrade) {
+        const { request } = this._upgrade;
+        this.db.close();
+        request.transaction = null;
+        report(() =>
+          request._fail(domError("AbortError", "The version change transaction was aborted"))
+        );
+      }
+    });
+  }
+}
+
+class MemoryDatabase extends MemoryEventTarget {
+  constructor(backend) {
+    super();
+    this._backend = backend;
+    this._closed = false;
+    this._upgrade = null;
+    this.name = backend.name;
+    this.version = backend.version;
+    this.onversionchange = null;
+    this.onclose = null;
+    backend.connections.add(this);
+  }
+
+  get objectStoreNames() {
+    return stringList(this._backend.stores.keys());
+  }
+
+  createObjectStore(name, { keyPath = null, autoIncrement = false } = {}) {
+    const transaction = this._assertUpgrade();
+    if (this._backend.stores.has(name)) {
+      throw domError("ConstraintError", `Object store '${name}' already exists`);
+    }
+    this._backend.stores.set(name, createStore(name, keyPath, autoIncrement));
+    return transaction.objectStore(name);
+  }
+
+  deleteObjectStore(name) {
+    const transaction = this._assertUpgrade();
+    if (!this._backend.stores.delete(name)) {
+      throw domError("NotFoundError", `Object store '${name}' not found`);
+    }
+    transaction._handles.delete(name);
+  }
+
+  transaction(names, mode = "readonly") {
+    if (this._closed) {
+      throw domError("InvalidStateError", "The database connection is closed");
+    }
+    if (this._upgrade && this._upgrade._state !== "finished") {
+      throw domError("InvalidStateError", "A version change transaction is running");
+    }
+    if (mode !== "readonly" && mode !== "readwrite") {
+      throw new TypeError(`Invalid transaction mode '${mode}'`);
+    }
+    const list = [...new Set(typeof names === "string" ? [names] : Array.from(names))];
+    if (list.length === 0) {
+      throw domError("InvalidAccessError", "A transaction needs at least one object store");
+    }
+    for (const name of list) {
+      if (!this._backend.stores.has(name)) {
+        throw domError("NotFoundError", `Object store '${name}' not found`);
+      }
+    }
+    const transaction = new MemoryTransaction(this, list, mode);
+    this._backend.schedule(transaction);
+    return transaction;
+  }
+
+  close() {
+    if (this._closed) return;
+    this._closed = true;
+    this._backend.connections.delete(this);
+    this._backend.closed();
+    if (this._backend.connections.size === 0) this._backend.adapter._idle(this._backend);
+  }
+
+  _assertUpgrade() {
+    if (!this._upgrade || this._upgrade._state === "finished") {
+      throw domError("InvalidStateError", "Only allowed in a version change transaction");
+    }
+    return this._upgrade;
+  }
+}
+
+// Lecturas comunes a almacenes e índices; `_entries()` da sus entradas ordenadas
+class MemorySource {
+  get(query) {
+    const range = toRange(query);
+    if (!range) throw domError("DataError", "A key or key range is required");
+    return this._read(() => {
+      const [entry] = select(this._entries(), range, 1);
+      return entry ? clone(entry.value) : undefined;
+    });
+  }
+
+  getAll(query, count) {
+    const range = toRange(query);
+    return this._read(() =>
+      select(this._entries(), range, count).map((entry) => clone(entry.value))
+    );
+  }
+
+  getAllKeys(query, count) {
+    const range = toRange(query);
+    return this._read(() =>
+      select(this._entries(), range, count).map((entry) => clone(entry.primaryKey))
+    );
+  }
+
+  count(query) {
+    const range = toRange(query);
+    return this._read(() => select(this._entries(), range).length);
+  }
+
+  openCursor(query, direction = "next") {
+    const range = toRange(query);
+    const transaction = this._transaction;
+    const request = new MemoryRequest(this, transaction);
+    const cursor = new MemoryCursor(this, request, range, direction);
+    return transaction._request(this, () => cursor._seek(), request);
+  }
+
+  _read(operation) {
+    return this._transaction._request(this, operation);
+  }
+}
+
+class MemoryObjectStore extends MemorySource {
+  constructor(transaction, name) {
+    super();
+    this.transaction = transaction;
+    this.name = name;
+    this._indexes = new Map();
+  }
+
+  get keyPath() {
+    return this._data.keyPath;
+  }
+
+  get autoIncrement() {
+    return this._data.autoIncrement;
+  }
+
+  get indexNames() {
+    return stringList(this._data.indexes.keys());
+  }
+
+  get _data() {
+    return this.transaction._data(this.name);
+  }
+
+  get _transaction() {
+    return this.transaction;
+  }
+
+  _entries() {
+    return this._data.records;
+  }
+
+  index(name) {
+    if (!this._data.indexes.has(name)) {
+      throw domError("NotFoundError", `Index '${name}' not found`);
+    }
+    if (!this._indexes.has(name)) this._indexes.set(name, new MemoryIndex(this, name));
+    return this._indexes.get(name);
+  }
+
+  createIndex(name, keyPath, { unique = false, multiEntry = false } = {}) {
+    this.transaction.db._assertUpgrade();
+    const data = this._data;
+    if (data.indexes.has(name)) {
+      throw domError("ConstraintError", `Index '${name}' already exists`);
+    }
+    const index = {
+      name,
+      keyPath: Array.isArray(keyPath) ? [...keyPath] : keyPath,
+      unique: !!unique,
+      multiEntry: !!multiEntry,
+    };
+    data.indexes.set(name, index);
+    // Como en IndexedDB, los datos que ya incumplen el índice único abortan la actualización
+    if (index.unique) {
+      const entries = indexEntries(data, index);
+      if (entries.some((entry, i) => i > 0 && compare(entries[i - 1].key, entry.key) === 0)) {
+        this.transaction._queue.push({
+          request: null,
+          operation: () => {
+            throw domError("ConstraintError", `Unique index '${name}' has duplicated keys`);
+          },
+        });
+      }
+    }
+    return this.index(name);
+  }
+
+  deleteIndex(name) {
+    this.transaction.db._assertUpgrade();
+    const data = this._data;
+    if (!data.indexes.delete(name)) {
+      throw domError("NotFoundError", `Index '${name}' not found`);
+    }
+    data.entries.delete(name);
+    this._indexes.delete(name);
+  }
+
+  put(value, key) {
+    return this._put(value, key, true);
+  }
+
+  add(value, key) {
+    return this._put(value, key, false);
+  }
+
+  delete(query) {
+    this.transaction._assertWritable();
+    const range = toRange(query);
+    if (!range) throw domError("DataError", "A key or key range is required");
+    return this.transaction._request(this, () => {
+      this.transaction._delete(this.name, range);
+    });
+  }
+
+  clear() {
+    this.transaction._assertWritable();
+    return this.transaction._request(this, () => {
+      this.transaction._clear(this.name);
+    });
+  }
+
+  // El valor se copia al hacer la petición, como en IndexedDB
+  _put(value, key, overwrite) {
+    this.transaction._assertWritable();
+    const record = clone(value);
+    const keyPath = this.keyPath;
+    if (keyPath !== null) {
+      if (key !== undefined) {
+        throw domError("DataError", "The object store uses in-line keys");
+      }
+      key = extractKey(record, keyPath);
+    }
+    if (!isKey(key)) {
+      throw domError("DataError", "The record key is missing or is not a valid key");
+    }
+    return this.transaction._request(this, () =>
+      this.transaction._put(this.name, key, record, overwrite)
+    );
+  }
+}
+
+class MemoryIndex extends MemorySource {
+  constructor(objectStore, name) {
+    super();
+    this.objectStore = objectStore;
+    this.name = name;
+  }
+
+  get keyPath() {
+    return this._definition.keyPath;
+  }
+
+  get unique() {
+    return this._definition.unique;
+  }
+
+  get multiEntry() {
+    return this._definition.multiEntry;
+  }
+
+  get _definition() {
+    const index = this.objectStore._data.indexes.get(this.name);
+    if (!index) throw domError("InvalidStateError", `Index '${this.name}' was deleted`);
+    return index;
+  }
+
+  get _transaction() {
+    return this.objectStore.transaction;
+  }
+
+  _entries() {
+    return indexEntries(this.objectStore._data, this._definition);
+  }
+}
+
+/*
+ * El cursor guarda su posición (key, primaryKey) y cada paso busca la siguiente entrada
+ * en los datos actuales, así ve las escrituras hechas en la misma transacción
+ */
+class MemoryCursor {
+  constructor(source, request, range, direction) {
+    this.source = source;
+    this.request = request;
+    this.direction = direction;
+    this.key = undefined;
+    this.primaryKey = undefined;
+    this.value = undefined;
+    this._range = range;
+    this._reverse = direction.startsWith("prev");
+  }
+
+  continue(key) {
+    if (key !== undefined) {
+      MemoryKeyRange.assertKey(key);
+      const diff = compare(key, this.key);
+      if (this._reverse ? diff >= 0 : diff <= 0) {
+        throw domError("DataError", "The key is not after the cursor position");
+      }
+    }
+    this._advance(() => this._seek(key));
+  }
+
+  continuePrimaryKey(key, primaryKey) {
+    MemoryKeyRange.assertKey(key);
+    MemoryKeyRange.assertKey(primaryKey);
+    this._advance(() => this._seek(key, primaryKey));
+  }
+
+  advance(count) {
+    this._advance(() => {
+      let cursor = null;
+      for (let i = 0; i < count; i++) {
+        cursor = this._seek();
+        if (!cursor) break;
+      }
+      return cursor;
+    });
+  }
+
+  update(value) {
+    const store = this._store;
+    store.transaction._assertWritable();
+    const record = clone(value);
+    if (store.keyPath !== null) {
+      const key = extractKey(record, store.keyPath);
+      if (!isKey(key) || compare(key, this.primaryKey) !== 0) {
+        throw domError("DataError", "The record key does not match the cursor");
+      }
+    }
+    const primaryKey = this.primaryKey;
+    return store.transaction._request(this, () =>
+      store.transaction._put(store.name, primaryKey, record, true)
+    );
+  }
+
+  delete() {
+    const store = this._store;
+    store.transaction._assertWritable();
+    const range = MemoryKeyRange.only(this.primaryKey);
+    return store.transaction._request(this, () => {
+      store.transaction._delete(store.name, range);
+    });
+  }
+
+  get _store() {
+    return this.source instanceof MemoryIndex ? this.source.objectStore : this.source;
+  }
+
+  _advance(operation) {
+    this.source._transaction._request(this.source, operation, this.request);
+  }
+
+  // Mueve el cursor a la siguiente entrada (como mínimo `key`/`primaryKey`) o devuelve null
+  _seek(key, primaryKey) {
+    const entries = this.source._entries();
+    const position = this.key === undefined ? null : [this.key, this.primaryKey];
+    let entry;
+    if (!this._reverse) {
+      const index = firstIndex(
+        entries,
+        (current) =>
+          (!position || comparePosition(current, ...position) > 0) &&
+          (key === undefined || comparePosition(current, key, primaryKey) >= 0) &&
+          aboveLower(this._range, current.key)
+      );
+      entry = entries[index];
+      if (entry && !belowUpper(this._range, entry.key)) entry = undefined;
+    } else {
+      const index =
+        firstIndex(
+          entries,
+          (current) =>
+            !(
+              (!position || comparePosition(current, ...position) < 0) &&
+              (key === undefined || comparePosition(current, key, primaryKey) <= 0) &&
+              belowUpper(this._range, current.key)
+            )
+        ) - 1;
+      entry = entries[index];
+      if (entry && !aboveLower(this._range, entry.key)) entry = undefined;
+    }
+    if (!entry) return null;
+    this.key = clone(entry.key);
+    this.primaryKey = clone(entry.primaryKey);
+    this.value = clone(entry.value);
+    return this;
+  }
+}
+
+class MemoryAdapter extends StorageAdapter {
+  constructor() {
+    super();
+    // Bases de datos de este adaptador por nombre (promesas de MemoryBackend); cada
+    // instancia tiene las suyas
+    this._databases = new Map();
+  }
+
+  get KeyRange() {
+    return MemoryKeyRange;
+  }
+
+  open(name, version) {
+    if (version !== undefined && (!Number.isInteger(version) || version < 1)) {
+      throw new TypeError("The database version must be a positive integer");
+    }
+    const request = new MemoryRequest();
+    request.onupgradeneeded = null;
+    request.onblocked = null;
+
+    const opened = (backend) => {
+      // Se descargó mientras se abría (ver _unload): se vuelve a cargar
+      if (backend.unloaded) return this._backend(name).then(opened);
+      const target = version ?? Math.max(backend.version, 1);
+      if (target < backend.version) {
+        return report(() =>
+          request._fail(
+            domError(
+              "VersionError",
+              `The requested version (${target}) is less than the existing version (${backend.version})`
+            )
+          )
+        );
+      }
+      const db = new MemoryDatabase(backend);
+      if (target === backend.version) return report(() => request._succeed(db));
+
+      const oldVersion = backend.version;
+      db._upgrade = new MemoryTransaction(db, [], "versionchange");
+      db._upgrade._upgrade = { request, oldVersion, newVersion: target };
+      return backend
+        .versionChange(db, oldVersion, target, request)
+        .then(() => backend.schedule(db._upgrade));
+    };
+    this._backend(name)
+      .then(opened)
+      .catch((error) => report(() => request._fail(error)));
+    return request;
+  }
+
+  deleteDatabase(name) {
+    const request = new MemoryRequest();
+    const loading = this._databases.get(name) || Promise.resolve(null);
+    this._databases.delete(name);
+
+    loading
+      .catch(() => null)
+      .then((backend) => {
+        if (backend) {
+          backend.deleted = true;
+          backend.versionChange(null, backend.version, null);
+        }
+        return Promise.resolve(this._remove(name)).then(() => backend);
+      })
+      .then(
+        (backend) =>
+          report(() =>
+            request._succeed(undefined, {
+              oldVersion: backend ? backend.version : 0,
+              newVersion: null,
+            })
+          ),
+        (error) => report(() => request._fail(error))
+      );
+    return request;
+  }
+
+  // Una base de datos cuya creación se abortó se queda en la versión 0 y no se lista
+  databases() {
+    return Promise.all(
+      Array.from(this._databases.values(), (loading) => loading.catch(() => null))
+    ).then((backends) =>
+      backends
+        .filter((backend) => backend && backend.version > 0)
+        .map(({ name, version }) => ({ name, version }))
+    );
+  }
+
+  cmp(a, b) {
+    MemoryKeyRange.assertKey(a);
+    MemoryKeyRange.assertKey(b);
+    return compare(a, b);
+  }
+
+  // Carga una sola vez la base de datos de un nombre; si falla se reintenta en el siguiente open
+  _backend(name) {
+    if (!this._databases.has(name)) {
+      const loading = Promise.resolve()
+        .then(() => this._load(name))
+        .then((state) => MemoryBackend.restore(name, this, state))
+        .catch((error) => {
+          this._databases.delete(name);
+          throw error;
+        });
+      this._databases.set(name, loading);
+    }
+    return this._databases.get(name);
+  }
+
+  /*
+   * Puntos de extensión para adaptadores que guardan los datos (ver OPFSAdapter). El estado
+   * de una base de datos es { version, stores: [{ name, keyPath, autoIncrement, indexes,
+   * records: [[key, value]] }] }
+   */
+
+  // Estado guardado de una base de datos, o null si no existe
+  _load(name) {
+    return null;
+  }
+
+  // Se llama al confirmar cada transacción, antes de `complete`; una promesa rechazada la aborta
+  _persist(backend, transaction) {
+    return null;
+  }
+
+  _remove(name) {
+    return null;
+  }
+
+  // Se llama al cerrarse la última conexión abierta de una base de datos
+  _idle(backend) {
+    return null;
+  }
+
+  // Olvida una base de datos ya cargada: la siguiente apertura la vuelve a leer con `_load`
+  _unload(backend) {
+    backend.unloaded = true;
+    this._databases.delete(backend.name);
+  }
+
+  // Ejecuta `task(backend)` en la cola de transacciones, cuando ninguna otra está en curso
+  _exclusive(name, task) {
+    return this._backend(name).then(
+      (backend) =>
+        new Promise((resolve, reject) => {
+          const job = {
+            _start: () =>
+              Promise.resolve()
+                .then(() => task(backend))
+                .then(resolve, reject)
+                .finally(() => backend.finished(job)),
+          };
+          backend.schedule(job);
+        })
+    );
+  }
+
+  // Estado actual de una base de datos (de todos sus almacenes o solo de `names`)
+  _dump(backend, names = Array.from(backend.stores.keys())) {
+    return {
+      version: backend.version,
+      stores: names.map((name) => {
+        const data = backend.stores.get(name);
+        return {
+          name,
+          keyPath: data.keyPath,
+          autoIncrement: data.autoIncrement,
+          indexes: Array.from(data.indexes.values(), (index) => ({ ...index })),
+          records: data.records.map((record) => [record.key, record.value]),
+        };
+      }),
+    };
+  }
+}
+
+export { MemoryAdapter };
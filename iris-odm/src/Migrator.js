@@ -0,0 +1,145 @@
+/**
+ * @file Migrator class: runs versioned schema migrations inside the IndexedDB upgrade transaction
+ */
+
+import { Matcher } from "./Matcher.js";
+import { Updater } from "./Updater.js";
+
+// Almacén interno donde se registran las migraciones aplicadas
+const MIGRATIONS_STORE = "__migrations";
+
+class Migrator {
+  constructor(model, migrations = {}) {
+    this.model = model;
+    this.steps = Object.entries(migrations)
+      .map(([version, up]) => {
+        const number = Number(version);
+        if (!Number.isInteger(number) || number < 1) {
+          throw new Error(`Migration version '${version}' must be a positive integer`);
+        }
+        if (typeof up !== "function") {
+          throw new Error(`Migration ${number} must be a function`);
+        }
+        return { version: number, up };
+      })
+      .sort((a, b) => a.version - b.version);
+  }
+
+  static get STORE() {
+    return MIGRATIONS_STORE;
+  }
+
+  // Migraciones que todavía no constan como aplicadas en la base de datos
+  async pending(db) {
+    if (this.steps.length === 0) return [];
+    if (!db.objectStoreNames.contains(MIGRATIONS_STORE)) return this.steps;
+    const store = db
+      .transaction(MIGRATIONS_STORE, "readonly")
+      .objectStore(MIGRATIONS_STORE);
+    const applied = await this.model._request(store.getAllKeys());
+    return this.steps.filter((step) => !applied.includes(step.version));
+  }
+
+  /**
+   * Aplica en orden las migraciones pendientes dentro de la transacción de actualización.
+   * En una base de datos nueva no hay datos que transformar: las migraciones se registran
+   * como aplicadas (skipped) sin ejecutarse. Si una migración falla se aborta la
+   * actualización completa y la base de datos se queda en la versión anterior.
+   * Devuelve true si se ejecutó alguna migración.
+   */
+  async upgrade(db, transaction, oldVersion) {
+    const store = db.objectStoreNames.contains(MIGRATIONS_STORE)
+      ? transaction.objectStore(MIGRATIONS_STORE)
+      : db.createObjectStore(MIGRATIONS_STORE, { keyPath: "version" });
+    const applied = await this.model._request(store.getAllKeys());
+    const fresh = oldVersion === 0;
+    let migrated = false;
+
+    for (const step of this.steps) {
+      if (applied.includes(step.version)) continue;
+      if (!fresh) {
+        await step.up(this.context(db, transaction, step, oldVersion));
+        migrated = true;
+      }
+      await this.model._request(
+        store.put({ version: step.version, appliedAt: new Date(), skipped: fresh })
+      );
+    }
+    return migrated;
+  }
+
+  /**
+   * Interfaz que recibe cada migración. Las operaciones devuelven promesas sobre la misma
+   * transacción: una migración no debe esperar a nada ajeno a IndexedDB (fetch, timers...)
+   * porque la transacción se cerraría.
+   */
+  context(db, transaction, step, oldVersion) {
+    const model = this.model;
+    const storeOf = (collection = model.activeCollection) =>
+      transaction.objectStore(collection);
+
+    const context = {
+      db,
+      transaction,
+      version: step.version,
+      oldVersion,
+      store: storeOf,
+      createCollection(name) {
+        if (!db.objectStoreNames.contains(name)) {
+          db.createObjectStore(name, { keyPath: model.primary });
+        }
+        return storeOf(name);
+      },
+      deleteCollection(name) {
+        if (db.objectStoreNames.contains(name)) db.deleteObjectStore(name);
+      },
+      createIndex(field, options = {}, collection) {
+        const store = storeOf(collection);
+        const name = options.name || field;
+        if (!store.indexNames.contains(name)) {
+          store.createIndex(name, field, {
+            unique: options.unique || false,
+            multiEntry: options.multiEntry || false,
+          });
+        }
+      },
+      deleteIndex(name, collection) {
+        const store = storeOf(collection);
+        if (store.indexNames.contains(name)) store.deleteIndex(name);
+      },
+      // Reescribe cada documento: devolver un objeto lo guarda, null lo elimina, undefined lo deja igual
+      updateAll(callback, collection) {
+        const store = storeOf(collection);
+        return new Promise((resolve, reject) => {
+          let modified = 0;
+          const request = store.openCursor();
+          request.onerror = () => reject(request.error);
+          request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return resolve(modified);
+            Promise.resolve(callback(structuredClone(cursor.value)))
+              .then((result) => {
+                if (result === null) cursor.delete();
+                else if (result !== undefined) cursor.update(result);
+                if (result !== undefined) modified++;
+                cursor.continue();
+              })
+              .catch(reject);
+          };
+        });
+      },
+      renameField(from, to, collection) {
+        return context.updateAll(
+          (item) =>
+            Matcher.getPath(item, from) === undefined
+              ? undefined
+              : Updater.apply(item, { $rename: { [from]: to } }),
+          collection
+        );
+      },
+    };
+    return context;
+  }
+}
+
+export { Migrator };
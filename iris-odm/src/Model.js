@@ -1,4 +1,29 @@
 import { IrisUtils } from "./IrisUtils.js";
+import { Schema } from "./Schema.js";
+import { QueryPlanner } from "./QueryPlanner.js";
+import { Query } from "./Query.js";
+import { Cursor } from "./Cursor.js";
+import { Matcher } from "./Matcher.js";
+import { Updater } from "./Updater.js";
+import { Transaction } from "./Transaction.js";
+import { Aggregate } from "./Aggregate.js";
+import { Migrator } from "./Migrator.js";
+import { ChangeStream } from "./ChangeStream.js";
+import { LiveQuery } from "./LiveQuery.js";
+import { Validator } from "./Validator.js";
+import { Sanitizer } from "./Sanitizer.js";
+import { TextIndex } from "./TextIndex.js";
+import { IndexedDBAdapter } from "./IndexedDBAdapter.js";
+import {
+  IrisError,
+  NotFoundError,
+  QuotaError,
+  ValidationError,
+  VersionConflictError,
+} from "./Errors.js";
+
+// Adaptador de los modelos que no indican uno: IndexedDB salvo que se cambie con Model.defaultAdapter
+let defaultAdapter = new IndexedDBAdapter();
 
 class Model {
   constructor(name, schema, options = {}) {
@@ -22,54 +47,260 @@ class Model {
       this.schema.definition[this.primary].unique = true;
     }
     this.activeCollection = options?.active || this.name;
+    // Almacenamiento: IndexedDB por defecto, MemoryAdapter en Node o en los tests
+    this.adapter = options.adapter || defaultAdapter;
+    if (typeof this.adapter.open !== "function") {
+      throw new IrisError(
+        "adapter must be a storage adapter such as IndexedDBAdapter or MemoryAdapter",
+        { code: "INVALID_ARGUMENT" }
+      );
+    }
+    // Campos con `text` del esquema: se indexan en un almacén de texto por colección
+    this.textFields = TextIndex.fields(this.schema);
+    // Campos de tipo Array: un índice que no es multiEntry guarda el array entero como clave
+    // y no sirve para buscar sus elementos, así que el planificador no lo usa para filtrar
+    this.arrayFields = Object.entries(this.schema.definition)
+      .filter(([, definition]) => {
+        const type = Validator.resolveType(Validator.field(definition).type);
+        return type === Array || Array.isArray(type);
+      })
+      .map(([field]) => field);
+    // Borrado lógico: delete y deleteMany marcan este campo en lugar de eliminar
+    this.softDelete = Model.softDeleteField(options.softDelete);
+    if (this.softDelete && !this.schema.definition[this.softDelete]) {
+      this.schema.definition[this.softDelete] = { type: Date };
+    }
+    // Migraciones por versión: { 2: async (ctx) => {...}, 3: ... }
+    this.migrator = options.migrations
+      ? new Migrator(this, options.migrations)
+      : null;
+    // Cambios confirmados para watch() y liveQuery(); los pendientes se guardan por transacción
+    this.changes = new ChangeStream(this, {
+      broadcast: options.broadcast,
+      probeInterval: options.probeInterval,
+    });
+    this._pendingChanges = new WeakMap();
+    // Cada cuántos ms se eliminan los documentos caducados (índices TTL); 0 lo desactiva
+    this.ttlInterval = options.ttlInterval ?? 60000;
+    this._sweeper = null;
     this.db = null;
   }
+  // softDelete: true usa el campo deletedAt; { deletedAt: "removedAt" } cambia su nombre
+  static softDeleteField(option) {
+    if (!option) return null;
+    if (option === true) return "deletedAt";
+    if (typeof option === "object" && typeof option.deletedAt === "string") {
+      return option.deletedAt;
+    }
+    throw new IrisError("softDelete must be true or { deletedAt: 'fieldName' }", {
+      code: "INVALID_ARGUMENT",
+    });
+  }
+
+  static get defaultAdapter() {
+    return defaultAdapter;
+  }
+
+  static set defaultAdapter(adapter) {
+    defaultAdapter = adapter;
+  }
+
   async connect() {
-    return new Promise(async (resolve, reject) => {
-      this.version = await this.syncVersion(this.version);
-      const request = indexedDB.open(this.name, this.version);
-      request.onerror = () => reject(request.error);
-      request.onsuccess = async () => {
-        this.db = request.result;
-        this.collections = Array.from(this.db.objectStoreNames);
-        resolve(this.db);
+    this.version = await this.syncVersion(this.version);
+    this.db = await this._open(this.version);
+    // Sin cambio de versión no hay transacción de actualización: la forzamos para migrar
+    // o para sincronizar los índices del esquema con los de la base de datos
+    if (
+      (this.migrator && (await this.migrator.pending(this.db)).length > 0) ||
+      this._needsIndexSync(this.db)
+    ) {
+      const current = this.db;
+      this.db = null;
+      current.close();
+      this.version = current.version + 1;
+      this.db = await this._open(this.version);
+    }
+    this.collections = this._collectionNames(this.db);
+    // El canal entre pestañas se abre siempre para saber si otra tiene suscriptores
+    this.changes.open();
+    this._startSweeper();
+    return this.db;
+  }
+
+  _open(version) {
+    return new Promise((resolve, reject) => {
+      let failure = null;
+      const request = this.adapter.open(this.name, version);
+      request.onerror = (event) => {
+        event.preventDefault();
+        reject(failure || request.error);
+      };
+      request.onblocked = () => {
+        failure = this._blockedError(version);
+        reject(failure);
+      };
+      request.onsuccess = () => {
+        // Una apertura que se rechazó por quedar bloqueada no se usa si termina más tarde
+        if (failure) return request.result.close();
+        resolve(this._track(request.result));
       };
       request.onupgradeneeded = (event) => {
         const db = event.target.result;
+        const transaction = request.transaction;
+        transaction.addEventListener("abort", () => {
+          failure = failure || transaction.error;
+        });
         // Si collections no está vacío, crear las object stores correspondientes
-        if (this.collections.length > 0) {
-          this.collections.forEach((collectionName) => {
-            if (!db.objectStoreNames.contains(collectionName)) {
-              const store = db.createObjectStore(collectionName, {
-                keyPath: this.primary,
-              });
-              // Crear índices definidos en el esquema
-              this.schema.indexes.forEach((index) => {
-                store.createIndex(index.field, index.field, {
-                  unique: index.unique || false,
-                });
-              });
+        const names = this.collections.length > 0 ? this.collections : [this.name];
+        names.forEach((collectionName) => {
+          if (!db.objectStoreNames.contains(collectionName)) {
+            db.createObjectStore(collectionName, { keyPath: this.primary });
+          }
+        });
+
+        // Primero las migraciones (pueden renombrar campos) y después los índices del esquema
+        (this.migrator
+          ? this.migrator.upgrade(db, transaction, event.oldVersion)
+          : Promise.resolve(false)
+        )
+          .then((migrated) => this._syncIndexes(db, transaction, migrated))
+          .catch((error) => {
+            failure = error;
+            try {
+              transaction.abort();
+            } catch (abortError) {
+              // La transacción ya había terminado
             }
           });
-        } else {
-          // Si collections está vacío, usar this.name para la colección principal
-          if (!db.objectStoreNames.contains(this.name)) {
-            const store = db.createObjectStore(this.name, {
-              keyPath: this.primary,
-            });
-            // Crear índices definidos en el esquema
-            this.schema.indexes.forEach((index) => {
-              store.createIndex(index.field, index.field, {
-                unique: index.unique || false,
-              });
-            });
-          }
-        }
       };
     });
   }
 
+  /*
+   * Si otra conexión (otro modelo, otra pestaña o drop) necesita cambiar la versión, esta se
+   * cierra para no bloquearla; el modelo vuelve a conectar en su siguiente operación
+   */
+  _track(db) {
+    db.onversionchange = () => {
+      db.close();
+      if (this.db === db) this.db = null;
+    };
+    return db;
+  }
+
+  // Una conexión que no se cierra ante el cambio de versión (p. ej. otra pestaña con una versión
+  // anterior de la aplicación) dejaría la apertura esperando indefinidamente
+  _blockedError(version) {
+    return new IrisError(
+      `Database '${this.name}' cannot be upgraded to version ${version}: another open connection is blocking it`,
+      { code: "DATABASE_BLOCKED" }
+    );
+  }
+
+  // Índices declarados en el esquema, tal como deben existir en IndexedDB
+  _indexSpecs() {
+    return this.schema.indexes.map((index) => ({
+      name: Schema.indexName(index),
+      keyPath: index.field,
+      unique: Boolean(index.unique),
+      multiEntry: Boolean(index.multiEntry),
+    }));
+  }
+
+  // Diferencias entre los índices del esquema y los del store: { create, drop }
+  _indexChanges(store) {
+    const specs = this._indexSpecs();
+    const create = [];
+    const drop = Array.from(store.indexNames).filter(
+      (name) => !specs.some((spec) => spec.name === name)
+    );
+    for (const spec of specs) {
+      if (!store.indexNames.contains(spec.name)) {
+        create.push(spec);
+        continue;
+      }
+      const index = store.index(spec.name);
+      const keyPath = Array.isArray(index.keyPath)
+        ? Array.from(index.keyPath)
+        : index.keyPath;
+      if (
+        !Matcher.equals(keyPath, spec.keyPath) ||
+        index.unique !== spec.unique ||
+        index.multiEntry !== spec.multiEntry
+      ) {
+        drop.push(spec.name);
+        create.push(spec);
+      }
+    }
+    return { create, drop };
+  }
+
+  // Indica si algún store necesita una actualización de versión para sincronizar índices
+  _needsIndexSync(db) {
+    const names = this._collectionNames(db);
+    if (names.length === 0) return false;
+    const transaction = db.transaction(this._transactionStores(names, db), "readonly");
+    return names.some((name) => {
+      const { create, drop } = this._indexChanges(transaction.objectStore(name));
+      return (
+        create.length > 0 ||
+        drop.length > 0 ||
+        TextIndex.needsSync(db, transaction, name, this.textFields)
+      );
+    });
+  }
+
+  /**
+   * Aplica los cambios de índices en todos los stores (solo dentro de una versionchange). Los
+   * almacenes de texto solo se reconstruyen si cambian los campos `text` o, con `migrated`,
+   * si una migración pudo cambiar los documentos
+   */
+  _syncIndexes(db, transaction, migrated = false) {
+    for (const name of this._collectionNames(db)) {
+      const store = transaction.objectStore(name);
+      const { create, drop } = this._indexChanges(store);
+      drop.forEach((index) => store.deleteIndex(index));
+      create.forEach(({ name: index, keyPath, unique, multiEntry }) =>
+        store.createIndex(index, keyPath, { unique, multiEntry })
+      );
+      if (migrated || TextIndex.needsSync(db, transaction, name, this.textFields)) {
+        TextIndex.sync(db, transaction, name, this.textFields);
+      }
+    }
+  }
+
+  // Nombres de las colecciones, sin el almacén de migraciones ni los de texto
+  _collectionNames(db) {
+    return Array.from(db.objectStoreNames).filter(
+      (name) => name !== Migrator.STORE && !TextIndex.isStore(name)
+    );
+  }
+
+  // Stores que abre una transacción: las colecciones y sus almacenes de texto, si existen
+  _transactionStores(collections, db = this.db) {
+    const names = [...collections];
+    for (const name of collections) {
+      const text = TextIndex.storeName(name);
+      if (db.objectStoreNames.contains(text)) names.push(text);
+    }
+    return names;
+  }
+
+  // Migraciones registradas en la base de datos: [{ version, appliedAt, skipped }]
+  async appliedMigrations() {
+    if (!this.db) await this.connect();
+    if (!this.db.objectStoreNames.contains(Migrator.STORE)) return [];
+    return this._executeTransaction(
+      "readonly",
+      (store) => this._request(store.getAll()),
+      Migrator.STORE
+    );
+  }
+
   async disconnect() {
+    this.changes.close();
+    clearInterval(this._sweeper);
+    this._sweeper = null;
     if (this.db) {
       this.db.close();
       this.db = null;
@@ -94,19 +325,19 @@ class Model {
       });
   }
   async dbExists(name) {
-    return indexedDB
+    return this.adapter
       .databases()
       .then((dbs) => dbs.find((db) => db.name === name));
   }
-  static async existsDB(name) {
-    return indexedDB
+  static async existsDB(name, adapter = defaultAdapter) {
+    return adapter
       .databases()
       .then((dbs) => dbs.find((db) => db.name === name));
   }
   async addCollections(collections) {
     if (!this.db) await this.connect();
     return new Promise((resolve, reject) => {
-      const existingCollections = Array.from(this.db.objectStoreNames);
+      const existingCollections = this._collectionNames(this.db);
 
       // Filtrar las colecciones que ya existen
       if (typeof collections === "string") {
@@ -133,33 +364,33 @@ class Model {
 
       // Cerrar la conexión actual para permitir la actualización
       this.db.close();
-      const request = indexedDB.open(dbName, this.version);
+      const request = this.adapter.open(dbName, this.version);
 
+      let blocked = false;
       request.onerror = () => reject(request.error);
+      request.onblocked = () => {
+        blocked = true;
+        reject(this._blockedError(this.version));
+      };
       request.onsuccess = () => {
-        this.db = request.result;
+        if (blocked) return request.result.close();
+        this.db = this._track(request.result);
 
         // Resolver con detalles útiles
         resolve({
           success: true,
           addedCollections: newCollections,
-          allCollections: Array.from(this.db.objectStoreNames),
+          allCollections: this._collectionNames(this.db),
         });
       };
       request.onupgradeneeded = (event) => {
         const db = event.target.result;
 
-        // Crear las colecciones que faltan
+        // Crear las colecciones que faltan con los índices definidos en el esquema
         newCollections.forEach((name) => {
-          const store = db.createObjectStore(name, { keyPath: this.primary });
-
-          // Crear índices definidos en el esquema, si aplica
-          this.schema.indexes.forEach((index) => {
-            store.createIndex(index.field, index.field, {
-              unique: index.unique || false,
-            });
-          });
+          db.createObjectStore(name, { keyPath: this.primary });
         });
+        this._syncIndexes(db, event.target.transaction);
       };
       // Actualizar las colecciones existentes
       this.collections = [...existingCollections, ...newCollections];
@@ -171,7 +402,9 @@ class Model {
       if (this.collections.includes(collectionName)) {
         this.activeCollection = collectionName;
       } else {
-        throw new Error(`Collection '${collectionName}' not found`);
+        throw new NotFoundError(`Collection '${collectionName}' not found`, {
+          collection: collectionName,
+        });
       }
       return this.activeCollection;
     } catch (error) {
@@ -187,20 +420,61 @@ class Model {
   }
 
   async create(data, options = {}) {
-    if (options.castToScheme) {
-      data = this._prepare(data);
-    }
-    await this._validateData(data);
+    const { data: created, record, hook } = await this._prepareCreate(
+      data,
+      options
+    );
 
-    return this._executeTransaction("readwrite", (store) => {
+    const result = await this._executeTransaction("readwrite", (store) => {
       return new Promise((resolve, reject) => {
-        const request = store.add(
-          !options?.castToScheme ? this._prepare(data) : data
-        );
-        request.onsuccess = () => resolve(data); // Retornar el objeto original con _id
+        const request = store.add(record);
+        request.onsuccess = () => {
+          this._recordChange(store, "insert", null, record);
+          resolve(created); // Retornar el objeto original con _id
+        };
         request.onerror = () => reject(request.error);
       });
     });
+    return this._after("save", this._applyGetters(result), hook);
+  }
+
+  // Valida un nuevo documento y devuelve el objeto original (con _id) y el registro a guardar
+  async _prepareCreate(data, options = {}, collection = this.activeCollection) {
+    // Los hooks pre('save') pueden normalizar ctx.data o lanzar para cancelar
+    const hook = await this._before("save", { data, options, collection });
+    // Valores por defecto, setters, trim/lowercase/uppercase y campos fuera del esquema
+    data = this._stampCreated(
+      Sanitizer.write(this.schema, hook.data, { defaults: true })
+    );
+    if (options.castToScheme) {
+      data = this._prepare(data);
+    }
+    await this._validateData(data, "create", undefined, collection, {
+      unique: !options.skipUnique,
+    });
+    return {
+      data,
+      record: !options?.castToScheme ? this._prepare(data) : data,
+      hook,
+    };
+  }
+
+  /**
+   * Ejecuta varias operaciones sobre una o más colecciones de forma atómica:
+   * await model.transaction(['orders', 'inventory'], async (tx) => {
+   *   const order = await tx.collection('orders').create({ ... });
+   *   await tx.collection('inventory').update({ $inc: { stock: -1 } }, itemId);
+   * });
+   * Las escrituras se validan al llamarlas y se aplican juntas en una única
+   * transacción readwrite cuando el callback termina; si lanza, no se escribe nada.
+   */
+  async transaction(collections, callback) {
+    if (!this.db) await this.connect();
+    const tx = new Transaction(this, collections);
+    const result = await callback(tx);
+    await tx.commit();
+    await tx._afterCommit();
+    return result;
   }
 
   /* async findById(id) {
@@ -212,27 +486,12 @@ class Model {
       });
     });
   } */
-  async findById(id, fields = null) {
-    return this._executeTransaction("readonly", (store) => {
-      return new Promise((resolve, reject) => {
-        const request = store.get(id);
-        request.onsuccess = () => {
-          if (!request.result || !fields) {
-            resolve(request.result);
-          } else {
-            const selectedFields = {};
-            for (let i = 0; i < fields.length; i++) {
-              const field = fields[i];
-              if (request.result.hasOwnProperty(field)) {
-                selectedFields[field] = request.result[field];
-              }
-            }
-            resolve(selectedFields);
-          }
-        };
-        request.onerror = () => reject(request.error);
-      });
-    });
+  /**
+   * Devuelve el documento con esa clave primaria (o undefined). Es un Query "thenable",
+   * por lo que admite populate: await model.findById(id).populate("author")
+   */
+  findById(id, fields = null) {
+    return new Query(this, { [this.primary]: id }, { fields, single: true });
   }
 
   /* async find(query = null) {
@@ -262,45 +521,61 @@ class Model {
       });
     });
   } */
-  async find({query = null, fields = null} = {}) {
-    return this._executeTransaction("readonly", (store) => {
-      return new Promise((resolve, reject) => {
-        const results = [];
-        const request = store.openCursor();
+  /**
+   * Devuelve un Query encadenable y "thenable":
+   * model.find({ age: { $gt: 18 } }).sort({ age: -1 }).skip(10).limit(5).select(['name'])
+   * Se mantiene la forma anterior find({ query, fields }).
+   */
+  find(query = null, options = {}) {
+    if (query && this._isLegacyFindOptions(query)) {
+      options = { ...options, fields: query.fields || options.fields };
+      query = query.query || null;
+    }
+    return new Query(this, query, options);
+  }
 
-        request.onsuccess = (event) => {
-          const cursor = event.target.result;
-          if (cursor) {
-            let valueToPush = cursor.value;
-
-            if (fields) {
-              const selectedFields = {};
-              for (let i = 0; i < fields.length; i++) {
-                const field = fields[i];
-                if (cursor.value.hasOwnProperty(field)) {
-                  selectedFields[field] = cursor.value[field];
-                }
-              }
-              valueToPush = selectedFields;
-            }
+  /**
+   * Devuelve un iterador asíncrono que lee los resultados por lotes, cada lote en su
+   * propia transacción: for await (const doc of model.cursor(query, { batchSize: 500 }))
+   */
+  cursor(query = null, options = {}) {
+    return new Cursor(this, query, options);
+  }
 
-            if (!query) results.push(valueToPush);
-            else {
-              if (this._matchesQuery(cursor.value, query)) {
-                results.push(valueToPush);
-              }
-            }
-            cursor.continue();
-          } else {
-            resolve(results);
-          }
-        };
+  /**
+   * Ejecuta un pipeline de agregación ($match, $group, $lookup...). Devuelve un
+   * Aggregate "thenable": await model.aggregate([{ $group: { _id: "$role", total: { $sum: 1 } } }])
+   */
+  aggregate(pipeline = [], options = {}) {
+    return new Aggregate(this, pipeline, options);
+  }
 
-        request.onerror = () => reject(request.error);
-      });
+  /**
+   * Llama a `callback(change)` tras cada escritura confirmada que afecte a la consulta:
+   * { type: "insert" | "update" | "delete", collection, key, before, after }.
+   * Devuelve una función para dejar de escuchar.
+   */
+  watch(query, callback, options = {}) {
+    if (typeof query === "function") [query, callback] = [null, query];
+    return this.changes.subscribe({
+      query,
+      collection: options.collection,
+      onChange: callback,
     });
   }
 
+  // Consulta viva: liveQuery(query, { sort, limit }).subscribe((results) => render(results))
+  liveQuery(query = null, options = {}) {
+    return new LiveQuery(this, query, options);
+  }
+
+  _isLegacyFindOptions(query) {
+    const keys = Object.keys(query);
+    return (
+      keys.length > 0 && keys.every((key) => key === "query" || key === "fields")
+    );
+  }
+
   async sort({ fields, keyField, order = "asc" }) {
     fields.sort((a, b) => {
       if (order === "asc") {
@@ -321,10 +596,48 @@ class Model {
   async limit({ fields, limit }) {
     return fields.slice(0, limit);
   }
-  async update(data, id) {
+  /**
+   * Actualiza un documento por su clave. Con versionKey, `{ expectedVersion }` rechaza
+   * la escritura con VersionConflictError si el documento guardado tiene otra versión.
+   */
+  async update(data, id, options = {}) {
     id = id || data[this.primary];
+    const hook = await this._before("update", {
+      id,
+      query: { [this.primary]: id },
+      update: data,
+      options,
+    });
+    const result = await this._updateById(hook.update, hook.id, hook.options);
+    return this._after("update", this._applyGetters(result), hook);
+  }
+
+  async _updateById(data, id, { expectedVersion } = {}) {
+    id = id || data[this.primary];
+    if (expectedVersion !== undefined && !this.schema.versionKey) {
+      throw new IrisError("expectedVersion requires the versionKey schema option", {
+        code: "INVALID_ARGUMENT",
+      });
+    }
+    // Con operadores ($set, $inc...) la actualización se aplica dentro de la transacción
+    if (Updater.isOperatorUpdate(data)) {
+      if (!id) throw this._missingPrimaryKey();
+      const result = await this._updateWhere({ [this.primary]: id }, data, {
+        multi: false,
+        expectedVersion,
+      });
+      if (result.matchedCount === 0) {
+        throw new NotFoundError("Item not found", {
+          id,
+          collection: this.activeCollection,
+        });
+      }
+      return result.document;
+    }
+    data = Sanitizer.write(this.schema, data);
     delete data[this.primary];
-    await this._validateData(data, "update", id);
+    // Solo se validan los campos enviados: el resto ya está guardado
+    await this._validateData(data, "update", id, undefined, { partial: true });
     return this._executeTransaction("readwrite", (store) => {
       return new Promise((resolve, reject) => {
         // Mostrar el keyPath configurado para el store
@@ -333,14 +646,31 @@ class Model {
         request.onsuccess = () => {
           const item = request.result;
           if (!item) {
-            reject(new Error("Item not found"));
+            reject(
+              new NotFoundError("Item not found", {
+                id,
+                collection: store.name,
+              })
+            );
+            return;
+          }
+          const conflict = this._versionConflict(item, expectedVersion, store.name);
+          if (conflict) {
+            reject(conflict);
             return;
           }
 
-          const updatedItem = { ...item, ...this._prepare(data) };
+          const updatedItem = this._stampUpdated(
+            { ...item, ...this._prepare(data) },
+            data,
+            item
+          );
           const updateRequest = store.put(updatedItem);
 
-          updateRequest.onsuccess = () => resolve(updatedItem);
+          updateRequest.onsuccess = () => {
+            this._recordChange(store, "update", item, updatedItem);
+            resolve(updatedItem);
+          };
           updateRequest.onerror = () => reject(updateRequest.error);
         };
 
@@ -349,71 +679,559 @@ class Model {
     });
   }
 
+  // Actualiza todos los documentos que cumplen la consulta en una sola transacción
+  async updateMany(query, update) {
+    const hook = await this._before("update", { query, update, multi: true });
+    const { matchedCount, modifiedCount } = await this._updateWhere(
+      this._scope(hook.query),
+      hook.update
+    );
+    return this._after("update", { matchedCount, modifiedCount }, hook);
+  }
+
+  // Actualiza el primer documento que cumple la consulta
+  async updateOne(query, update) {
+    const hook = await this._before("update", { query, update, multi: false });
+    const { matchedCount, modifiedCount } = await this._updateWhere(
+      this._scope(hook.query),
+      hook.update,
+      { multi: false }
+    );
+    return this._after("update", { matchedCount, modifiedCount }, hook);
+  }
+
+  /**
+   * Aplica un documento de actualización (con operadores o campos sueltos, que se
+   * tratan como $set) a los documentos de la consulta. La validación es síncrona para
+   * no cerrar la transacción; si algún documento falla no se escribe ninguno.
+   */
+  async _updateWhere(query, update, { multi = true, expectedVersion } = {}) {
+    const operations = this._updateOperations(update);
+    return this._executeTransaction("readwrite", (store) =>
+      this._updateInStore(store, query, operations, { multi, expectedVersion })
+    );
+  }
+
+  // Un documento sin operadores se guarda como $set de sus campos convertidos al esquema
+  _updateOperations(update) {
+    return Updater.isOperatorUpdate(update)
+      ? Sanitizer.operators(this.schema, update)
+      : this._prepare(Sanitizer.write(this.schema, update));
+  }
+
+  // Aplica la actualización dentro de una transacción ya abierta sobre el store
+  _updateInStore(store, query, operations, { multi = true, expectedVersion } = {}) {
+    const changes = [];
+    let matchedCount = 0;
+    let document = null;
+
+    return this._iterate(store, query, (value) => {
+      matchedCount++;
+      const conflict = this._versionConflict(value, expectedVersion, store.name);
+      if (conflict) throw conflict;
+      const updated = Updater.apply(value, operations, [this.primary]);
+      this._validateSync(updated);
+      if (!Matcher.equals(value, updated)) {
+        this._stampUpdated(updated, operations, value);
+        changes.push({ before: value, after: updated });
+      }
+      document = updated;
+      if (!multi) return false;
+    })
+      .then(() =>
+        // Escribimos al final para no volver a visitar registros movidos en el índice
+        Promise.all(
+          changes.map(({ before, after }) =>
+            this._request(store.put(after)).then(() =>
+              this._recordChange(store, "update", before, after)
+            )
+          )
+        )
+      )
+      .then(() => ({
+        matchedCount,
+        modifiedCount: changes.length,
+        document,
+        changes,
+      }));
+  }
+
+  // Sustituye el primer documento de la consulta conservando su clave primaria
+  _replaceInStore(store, query, replacement) {
+    let replaced = null;
+    let before = null;
+    return this._iterate(store, query, (value) => {
+      before = value;
+      replaced = {
+        ...this._prepare(
+          Sanitizer.write(this.schema, replacement, { defaults: true })
+        ),
+        [this.primary]: value[this.primary],
+      };
+      // Un documento reemplazado conserva su fecha de creación
+      const createdAt = this.schema.timestamps?.createdAt;
+      if (createdAt && replaced[createdAt] == null && value[createdAt] != null) {
+        replaced[createdAt] = value[createdAt];
+      }
+      this._stampUpdated(replaced, replacement, value);
+      this._validateSync(replaced);
+      return false;
+    })
+      .then(
+        () =>
+          replaced &&
+          this._request(store.put(replaced)).then(() =>
+            this._recordChange(store, "update", before, replaced)
+          )
+      )
+      .then(() => ({
+        matchedCount: replaced ? 1 : 0,
+        modifiedCount: replaced ? 1 : 0,
+      }));
+  }
+
+  /**
+   * Elimina los documentos de la consulta dentro de una transacción ya abierta. Con
+   * softDelete solo marca los que no estaban borrados, salvo que sea `permanent`.
+   */
+  _deleteInStore(store, query, { multi = true, permanent = false } = {}) {
+    if (this.softDelete && !permanent) {
+      return this._updateInStore(
+        store,
+        this._scope(query),
+        { $set: { [this.softDelete]: new Date() } },
+        { multi }
+      ).then(({ changes }) => changes.map(({ after }) => after[this.primary]));
+    }
+    const deleted = [];
+    return this._iterate(store, query, (value, cursor) => {
+      cursor.delete();
+      this._recordChange(store, "delete", value, null);
+      deleted.push(value[this.primary]);
+      if (!multi) return false;
+    }).then(() => deleted);
+  }
+
+  /**
+   * Inserta varios documentos en una sola transacción. Todos se validan antes de
+   * abrirla, con una única comprobación de los campos unique para todo el lote.
+   * Con `ordered` (por defecto) se detiene en el primer fallo; si no, inserta todos
+   * los válidos. Devuelve un informe por documento.
+   */
+  async insertMany(docs, options = {}) {
+    const { ordered = true } = options;
+    const prepared = await this._prepareMany(docs, options);
+    const results = [];
+
+    await this._executeTransaction("readwrite", async (store) => {
+      if (ordered) {
+        for (const entry of prepared) {
+          const result = await this._insertPrepared(store, entry);
+          results.push(result);
+          if (!result.ok) break;
+        }
+      } else {
+        results.push(
+          ...(await Promise.all(
+            prepared.map((entry) => this._insertPrepared(store, entry))
+          ))
+        );
+      }
+    });
+
+    const inserted = results.filter((result) => result.ok);
+    for (const { index } of inserted) {
+      await this._after("save", prepared[index].data, prepared[index].hook);
+    }
+    return {
+      ok: inserted.length === docs.length,
+      insertedCount: inserted.length,
+      insertedIds: inserted.map((result) => result.insertedId),
+      results,
+      errors: results.filter((result) => !result.ok),
+    };
+  }
+
+  /**
+   * Ejecuta varias operaciones en una sola transacción readwrite:
+   * [{ insertOne: { document } }, { updateOne: { filter, update } },
+   *  { updateMany: { filter, update } }, { replaceOne: { filter, replacement } },
+   *  { deleteOne: { filter } }, { deleteMany: { filter } }]
+   * Las operaciones se aplican en orden; con `ordered` (por defecto) se detiene en la
+   * primera que falle. Devuelve totales y un informe por operación.
+   */
+  async bulkWrite(operations, options = {}) {
+    const { ordered = true } = options;
+    const inserts = operations
+      .map((operation, index) => ({ operation, index }))
+      .filter(({ operation }) => operation && operation.insertOne);
+    const prepared = await this._prepareMany(
+      inserts.map(({ operation }) => operation.insertOne.document),
+      options
+    );
+    const preparedByIndex = new Map(
+      inserts.map(({ index }, i) => [index, prepared[i]])
+    );
+    const results = [];
+
+    await this._executeTransaction("readwrite", async (store) => {
+      for (let index = 0; index < operations.length; index++) {
+        const result = await this._bulkOperation(
+          store,
+          operations[index],
+          preparedByIndex.get(index)
+        ).then(
+          (detail) => ({ ...detail, index, ok: !detail.error }),
+          (error) => ({ index, ok: false, error, message: error.message })
+        );
+        results.push(result);
+        if (!result.ok && ordered) break;
+      }
+    });
+
+    for (const result of results) {
+      const entry = preparedByIndex.get(result.index);
+      if (result.ok && entry) await this._after("save", entry.data, entry.hook);
+    }
+
+    const sum = (field) =>
+      results.reduce((total, result) => total + (result[field] || 0), 0);
+    const errors = results.filter((result) => !result.ok);
+    return {
+      ok: errors.length === 0 && results.length === operations.length,
+      insertedCount: results.filter((result) => result.ok && result.insertedId)
+        .length,
+      matchedCount: sum("matchedCount"),
+      modifiedCount: sum("modifiedCount"),
+      deletedCount: sum("deletedCount"),
+      insertedIds: results
+        .filter((result) => result.ok && result.insertedId)
+        .map((result) => result.insertedId),
+      results,
+      errors,
+    };
+  }
+
+  _bulkOperation(store, operation, prepared) {
+    const [type, ...extra] = Object.keys(operation || {});
+    const args = operation?.[type] || {};
+    if (extra.length > 0) {
+      return Promise.reject(
+        new IrisError("Each bulk operation must contain a single operation type", {
+          code: "INVALID_ARGUMENT",
+        })
+      );
+    }
+    switch (type) {
+      case "insertOne":
+        return this._insertPrepared(store, prepared);
+      case "updateOne":
+      case "updateMany":
+        return this._updateInStore(
+          store,
+          this._scope(args.filter),
+          this._updateOperations(args.update),
+          { multi: type === "updateMany" }
+        ).then(({ matchedCount, modifiedCount }) => ({
+          matchedCount,
+          modifiedCount,
+        }));
+      case "replaceOne":
+        return this._replaceInStore(
+          store,
+          this._scope(args.filter),
+          args.replacement
+        );
+      case "deleteOne":
+      case "deleteMany":
+        return this._deleteInStore(store, args.filter, {
+          multi: type === "deleteMany",
+        }).then((deleted) => ({ deletedCount: deleted.length }));
+      default:
+        return Promise.reject(
+          new IrisError(`Unknown bulk operation '${type}'`, { code: "INVALID_ARGUMENT" })
+        );
+    }
+  }
+
+  // Escribe un documento ya validado; los errores quedan en el informe sin abortar la transacción
+  _insertPrepared(store, entry) {
+    if (entry.error) {
+      return Promise.resolve({
+        index: entry.index,
+        ok: false,
+        error: entry.error,
+        message: entry.error.message,
+      });
+    }
+    return this._request(store.add(entry.record)).then(
+      () => {
+        this._recordChange(store, "insert", null, entry.record);
+        return {
+          index: entry.index,
+          ok: true,
+          insertedId: entry.data[this.primary],
+        };
+      },
+      (error) => ({
+        index: entry.index,
+        ok: false,
+        error,
+        message: error.message,
+      })
+    );
+  }
+
+  // Valida un lote de documentos nuevos; cada entrada lleva { index, data, record } o { index, error }
+  async _prepareMany(docs, options = {}, collection = this.activeCollection) {
+    const prepared = [];
+    for (let index = 0; index < docs.length; index++) {
+      try {
+        const { data, record, hook } = await this._prepareCreate(
+          docs[index],
+          { ...options, skipUnique: true },
+          collection
+        );
+        prepared.push({ index, data, record, hook });
+      } catch (error) {
+        prepared.push({ index, error });
+      }
+    }
+    await this._checkBatchUnique(prepared, collection);
+    return prepared;
+  }
+
+  /**
+   * Comprueba los campos unique del lote de una vez: duplicados dentro del lote y
+   * valores ya guardados (por su índice si existe o con un único recorrido del store).
+   */
+  async _checkBatchUnique(prepared, collection = this.activeCollection) {
+    const fields = Object.entries(this.schema.definition)
+      .filter(([field, definition]) => definition.unique && field !== this.primary)
+      .map(([field]) => field);
+    const valid = prepared.filter((entry) => !entry.error);
+    if (fields.length === 0 || valid.length === 0) return;
+
+    const valueKey = (value) =>
+      value instanceof Date ? `date:${value.getTime()}` : `${typeof value}:${value}`;
+
+    // Valores de cada campo dentro del lote
+    const batchValues = {};
+    for (const field of fields) {
+      batchValues[field] = new Map();
+      for (const entry of valid) {
+        const value = entry.record[field];
+        if (value === undefined || value === null || entry.error) continue;
+        const key = valueKey(value);
+        if (batchValues[field].has(key)) entry.error = ValidationError.unique(field, value);
+        else batchValues[field].set(key, value);
+      }
+    }
+
+    const existing = await this._executeTransaction(
+      "readonly",
+      (store) => {
+        const found = Object.fromEntries(fields.map((field) => [field, new Set()]));
+        const indexed = QueryPlanner.indexedFields(store);
+        const scanFields = fields.filter((field) => !indexed[field]);
+        const lookups = [];
+
+        for (const field of fields.filter((field) => indexed[field])) {
+          for (const [key, value] of batchValues[field]) {
+            if (!QueryPlanner.isValidKey(value)) continue;
+            lookups.push(
+              this._request(indexed[field].index.count(value)).then((count) => {
+                if (count > 0) found[field].add(key);
+              })
+            );
+          }
+        }
+        if (scanFields.length > 0) {
+          lookups.push(
+            this._iterate(store, null, (value) => {
+              for (const field of scanFields) {
+                const stored = value[field];
+                if (stored === undefined || stored === null) continue;
+                const key = valueKey(stored);
+                if (batchValues[field].has(key)) found[field].add(key);
+              }
+            })
+          );
+        }
+        return Promise.all(lookups).then(() => found);
+      },
+      collection
+    );
+
+    for (const entry of valid) {
+      if (entry.error) continue;
+      for (const field of fields) {
+        const value = entry.record[field];
+        if (value === undefined || value === null) continue;
+        if (existing[field].has(valueKey(value))) {
+          entry.error = ValidationError.unique(field, value);
+          break;
+        }
+      }
+    }
+  }
+
   // Método para eliminar un elemento por su ID y devolver el id eliminado
   async delete(id) {
-    return this._executeTransaction("readwrite", (store) => {
-      return new Promise((resolve, reject) => {
-        const request = store.delete(id);
-        request.onsuccess = () => resolve(id);
-        request.onerror = () => reject(request.error);
-      });
+    const hook = await this._before("delete", {
+      id,
+      query: { [this.primary]: id },
+      multi: false,
+    });
+    id = hook.id;
+    const result = await this._executeTransaction("readwrite", async (store) => {
+      if (this.softDelete) {
+        await this._deleteInStore(store, { [this.primary]: id }, { multi: false });
+        return id;
+      }
+      // El documento previo solo se lee si alguien escucha los cambios o hay índice de texto
+      const before =
+        this.changes.active || this.textFields.length > 0
+          ? await this._request(store.get(id))
+          : undefined;
+      await this._request(store.delete(id));
+      if (before) this._recordChange(store, "delete", before, null);
+      return id;
     });
+    return this._after("delete", result, hook);
   }
 
+  // Elimina los elementos que cumplen la consulta en una sola transacción y devuelve sus ids
   async deleteMany(query) {
-    const items = await this.find(query);
-    return Promise.all(items.map((item) => this.delete(item[this.primary])));
+    const hook = await this._before("delete", { query, multi: true });
+    const deleted = await this._executeTransaction("readwrite", (store) =>
+      this._deleteInStore(store, hook.query)
+    );
+    return this._after("delete", deleted, hook);
   }
 
-  async checkIndex(index) {
-    return new Promise((resolve, reject) => {
-      const request = indexedDB.open(this.name, this.version);
-      request.onsuccess = () => {
-        const db = request.result;
-        const transaction = db.transaction(this.name, "readonly");
-        const store = transaction.objectStore(this.name);
-        const indexExists = store.indexNames.contains(index);
-        resolve(indexExists);
-      };
-      request.onerror = () => reject(request.error);
-    });
+  // Con softDelete, vuelve a mostrar un documento borrado y lo devuelve
+  async restore(id) {
+    this._assertSoftDelete("restore");
+    const { matchedCount, document } = await this._updateWhere(
+      { [this.primary]: id },
+      { $unset: { [this.softDelete]: "" } },
+      { multi: false }
+    );
+    if (matchedCount === 0) {
+      throw new NotFoundError("Item not found", {
+        id,
+        collection: this.activeCollection,
+      });
+    }
+    return this._applyGetters(document);
+  }
+
+  // Con softDelete, elimina definitivamente los documentos borrados que cumplen la consulta
+  async purge(query = null) {
+    this._assertSoftDelete("purge");
+    return this._executeTransaction("readwrite", (store) =>
+      this._deleteInStore(store, this._scope(query, { deleted: true }), {
+        permanent: true,
+      })
+    );
   }
 
-  async createIndex(index) {
+  /**
+   * Elimina definitivamente los documentos caducados de todas las colecciones. Solo
+   * recorre el rango ya caducado de cada índice TTL. Devuelve cuántos se eliminaron.
+   */
+  async sweepExpired() {
+    const indexes = this.schema.ttlIndexes;
+    if (indexes.length === 0) return 0;
+    if (!this.db) await this.connect();
+    let removed = 0;
+    for (const collection of this._collectionNames(this.db)) {
+      removed += await this._executeTransaction(
+        "readwrite",
+        (store) =>
+          indexes.reduce(
+            (total, index) =>
+              total.then((count) =>
+                this._sweepIndex(store, index).then((swept) => count + swept)
+              ),
+            Promise.resolve(0)
+          ),
+        collection
+      );
+    }
+    return removed;
+  }
+
+  // Borra los documentos del rango caducado de un índice TTL (solo claves de tipo Date)
+  _sweepIndex(store, index) {
+    const name = Schema.indexName(index);
+    if (!store.indexNames.contains(name)) return Promise.resolve(0);
+    const range = this.adapter.KeyRange.bound(
+      new Date(-8.64e15),
+      new Date(Date.now() - index.expireAfterSeconds * 1000)
+    );
     return new Promise((resolve, reject) => {
-      const request = indexedDB.open(this.name, this.version);
+      let removed = 0;
+      const request = store.index(name).openCursor(range);
       request.onsuccess = () => {
-        const db = request.result;
-        const transaction = db.transaction(this.name, "readwrite");
-        const store = transaction.objectStore(this.name);
-        store.createIndex(index, index);
-        resolve(true);
+        const cursor = request.result;
+        if (!cursor) return resolve(removed);
+        cursor.delete();
+        this._recordChange(store, "delete", cursor.value, null);
+        removed++;
+        cursor.continue();
       };
       request.onerror = () => reject(request.error);
     });
   }
 
+  // Con índices TTL, barre los documentos caducados cada `ttlInterval` ms mientras hay conexión
+  _startSweeper() {
+    if (this._sweeper || !this.ttlInterval) return;
+    if (this.schema.ttlIndexes.length === 0) return;
+    this._sweeper = setInterval(() => {
+      if (!this.db) return;
+      this.sweepExpired().catch((error) =>
+        console.error("Error sweeping expired documents:", error)
+      );
+    }, this.ttlInterval);
+  }
+
+  async checkIndex(index) {
+    if (!this.db) await this.connect();
+    const name = Array.isArray(index) ? index.join("_") : index;
+    return this.db
+      .transaction(this.activeCollection, "readonly")
+      .objectStore(this.activeCollection)
+      .indexNames.contains(name);
+  }
+
+  /**
+   * Los índices solo se pueden crear o borrar en una actualización de versión: se
+   * modifica el esquema y al reconectar se sincronizan todas las colecciones.
+   */
+  async createIndex(field, options = {}) {
+    this.schema.addIndex(field, options);
+    await this.refresh();
+    return true;
+  }
+
   async dropIndex(index) {
-    return new Promise((resolve, reject) => {
-      const request = indexedDB.open(this.name, this.version);
-      request.onsuccess = () => {
-        const db = request.result;
-        const transaction = db.transaction(this.name, "readwrite");
-        const store = transaction.objectStore(this.name);
-        store.deleteIndex(index);
-        resolve(true);
-      };
-      request.onerror = () => reject(request.error);
-    });
+    this.schema.removeIndex(index);
+    await this.refresh();
+    return true;
   }
 
   async getPrimaryKeyStore() {
     return new Promise((resolve, reject) => {
-      const request = indexedDB.open(this.name, this.version);
+      const request = this.adapter.open(this.name, this.version);
       request.onsuccess = () => {
         const db = request.result;
         const transaction = db.transaction(this.name, "readonly");
         const store = transaction.objectStore(this.name);
+        // Cerrar no interrumpe la transacción y evita bloquear futuras actualizaciones
+        db.close();
         resolve(store.keyPath);
       };
       request.onerror = () => reject(request.error);
@@ -422,11 +1240,12 @@ class Model {
 
   async getStore() {
     return new Promise((resolve, reject) => {
-      const request = indexedDB.open(this.name, this.version);
+      const request = this.adapter.open(this.name, this.version);
       request.onsuccess = () => {
         const db = request.result;
         const transaction = db.transaction(this.name, "readonly");
         const store = transaction.objectStore(this.name);
+        db.close();
         resolve(store);
       };
       request.onerror = () => reject(request.error);
@@ -434,28 +1253,42 @@ class Model {
   }
 
   async clear() {
-    return this._executeTransaction("readwrite", (store) => {
-      return new Promise((resolve, reject) => {
-        const request = store.clear();
-        request.onsuccess = () => resolve(true);
-        request.onerror = () => reject(request.error);
-      });
+    return this._executeTransaction("readwrite", async (store) => {
+      const removed = this.changes.active
+        ? await this._request(store.getAll())
+        : [];
+      await this._request(store.clear());
+      if (this.textFields.length > 0) TextIndex.clear(store);
+      removed.forEach((item) => this._recordChange(store, "delete", item, null));
+      return true;
     });
   }
 
-  async count() {
-    return this._executeTransaction("readonly", (store) => {
-      return new Promise((resolve, reject) => {
-        const request = store.count();
-        request.onsuccess = () => resolve(request.result);
-        request.onerror = () => reject(request.error);
-      });
-    });
+  async count(
+    query = null,
+    collection = this.activeCollection,
+    { withDeleted = false } = {}
+  ) {
+    query = this._scope(query, { withDeleted });
+    return this._executeTransaction(
+      "readonly",
+      (store) =>
+        this._textSearch(store, query).then(({ query: filter }) => {
+          Matcher.validate(filter);
+          return QueryPlanner.count(
+            store,
+            filter,
+            (value) => this._matchesQuery(value, filter),
+            { adapter: this.adapter, arrayFields: this.arrayFields }
+          );
+        }),
+      collection
+    );
   }
 
   async drop() {
     return new Promise((resolve, reject) => {
-      const request = indexedDB.deleteDatabase(this.name);
+      const request = this.adapter.deleteDatabase(this.name);
       request.onsuccess = () => resolve(true);
       request.onerror = () => reject(request.error);
     });
@@ -474,7 +1307,13 @@ class Model {
     return "s";
   }
 
-  async _validateData(data, operation = "create", id) {
+  async _validateData(
+    data,
+    operation = "create",
+    id,
+    collection = this.activeCollection,
+    { unique = true, partial = false } = {}
+  ) {
     // Asignar clave primaria si no existe
     if (
       operation === "create" &&
@@ -486,85 +1325,395 @@ class Model {
       !id /* &&
       (await this.validatePrimaryKey(data)) === "e" */
     ) {
-      throw new Error(
-        `Primary key '${this.primary}' is required for update operation`
-      );
+      throw this._missingPrimaryKey();
     }
     const errors = [];
     for (const [field, definition] of Object.entries(this.schema.definition)) {
-      // Validación de campo requerido
-      if (definition.required && !data.hasOwnProperty(field)) {
-        errors.push(`Field '${field}' is required`);
-      }
-      if (definition.unique && operation !== "update") {
-        const existing = await this.find({ query:{[field]: data[field]} });
+      if (
+        definition.unique &&
+        unique &&
+        operation !== "update" &&
+        data[field] !== undefined &&
+        data[field] !== null
+      ) {
+        const existing = await this.find(
+          { [field]: data[field] },
+          // Un documento borrado con softDelete conserva su valor: se puede restaurar
+          { collection, hooks: false, withDeleted: true }
+        ).limit(1);
         if (existing.length > 0) {
-          errors.push(`Field '${field}' must be unique`);
+          errors.push({
+            path: field,
+            kind: "unique",
+            value: data[field],
+            message: `Field '${field}' must be unique`,
+          });
         }
       }
-      // Validación de tipo
-      if (data.hasOwnProperty(field) && data[field] !== null) {
-        const value = data[field];
-        const type = definition.type || definition;
+    }
+    // Tipos, reglas (enum, min, match...), sub-esquemas, arrays y validadores personalizados
+    const invalid = await Validator.validateAsync(this.schema.definition, data, {
+      partial,
+    });
+    Validator.assert([...errors, ...invalid]);
+  }
 
-        if (!this._isValidType(value, type)) {
-          errors.push(`Field '${field}' must be of type ${type.name}`);
-        }
-      }
+  /*
+   * Convierte una petición de IndexedDB en promesa; su error no aborta la transacción por sí
+   * solo ni llega a transaction.onerror: lo gestiona quien espera la promesa
+   */
+  _request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        reject(request.error);
+      };
+    });
+  }
 
-      // Validación personalizada
-      if (definition.validate && data.hasOwnProperty(field)) {
-        try {
-          const isValid = await definition.validate(data[field]);
-          if (!isValid) {
-            errors.push(`Validation failed for field '${field}'`);
-          }
-        } catch (error) {
-          errors.push(
-            `Validation error for field '${field}': ${error.message}`
-          );
-        }
-      }
+  // Validación síncrona de un documento completo, usable dentro de una transacción abierta
+  _validateSync(data) {
+    Validator.assert(Validator.validateSync(this.schema.definition, data));
+  }
+
+  async _executeTransaction(mode, callback, collection = this.activeCollection) {
+    if (!this.db) {
+      await this.connect();
     }
 
-    if (errors.length > 0) {
-      throw new Error(
-        `Validation failed: ${errors.join(", ")} - ${JSON.stringify(data)}`
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(
+        this._transactionStores([collection]),
+        mode
       );
+      const store = transaction.objectStore(collection);
+      // Se resuelve cuando la transacción se confirma y el callback ha terminado
+      let result;
+      let settled = false;
+      let completed = false;
+      const finish = () => settled && completed && resolve(result);
+
+      transaction.oncomplete = () => {
+        completed = true;
+        this._flushChanges(transaction);
+        finish();
+      };
+      // Un QuotaExceededError del navegador se entrega como QuotaError. Un error que no se
+      // evita aborta la transacción, así que basta con onabort
+      const fail = (error) =>
+        reject(
+          QuotaError.from(
+            error || new IrisError("Storage operation failed", { code: "STORAGE_ERROR" })
+          )
+        );
+      transaction.onabort = () =>
+        fail(
+          transaction.error ||
+            new IrisError("Transaction aborted", { code: "TRANSACTION_ABORTED" })
+        );
+
+      Promise.resolve()
+        .then(() => callback(store))
+        .then((value) => {
+          result = value;
+          settled = true;
+          finish();
+        })
+        .catch((error) => {
+          // Deshacer lo escrito si la operación falla a mitad de la transacción
+          try {
+            transaction.abort();
+          } catch (abortError) {
+            // La transacción ya había terminado
+          }
+          fail(error);
+        });
+    });
+  }
+
+  /**
+   * Ejecuta los hooks pre(operation) del esquema sobre un contexto
+   * { operation, model, collection, ...detalle } que pueden modificar o rechazar.
+   */
+  async _before(operation, detail) {
+    const context = {
+      operation,
+      model: this,
+      ...detail,
+      collection: detail.collection || this.activeCollection,
+    };
+    if (this.schema.hasHooks("pre", operation)) {
+      await this.schema.runHooks("pre", operation, context);
     }
+    return context;
   }
 
-  async _executeTransaction(mode, callback) {
-    if (!this.db) {
-      await this.connect();
+  // Ejecuta los hooks post(operation) con el resultado ya confirmado
+  async _after(operation, result, context) {
+    if (this.schema.hasHooks("post", operation)) {
+      await this.schema.runHooks("post", operation, result, context);
     }
+    return result;
+  }
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(this.activeCollection, mode);
-      const store = transaction.objectStore(this.activeCollection);
+  /**
+   * Mantiene el índice de texto en la misma transacción y guarda el cambio hasta que la
+   * transacción se confirme (solo si hay suscriptores)
+   */
+  _recordChange(store, type, before, after) {
+    this._indexText(store, before, after);
+    if (!this.changes.active || (!before && !after)) return;
+    const transaction = store.transaction;
+    if (!this._pendingChanges.has(transaction)) {
+      this._pendingChanges.set(transaction, []);
+    }
+    this._pendingChanges.get(transaction).push({
+      type,
+      collection: store.name,
+      key: (after || before)[this.primary],
+      before: before || null,
+      after: after || null,
+    });
+  }
 
-      transaction.oncomplete = () => resolve();
-      transaction.onerror = () => reject(transaction.error);
+  _indexText(store, before, after) {
+    if (this.textFields.length === 0 || (!before && !after)) return;
+    if (
+      before &&
+      after &&
+      this.textFields.every(({ field }) => Matcher.equals(before[field], after[field]))
+    ) {
+      return;
+    }
+    TextIndex.write(store, (after || before)[this.primary], after, this.textFields);
+  }
 
-      Promise.resolve(callback(store)).then(resolve).catch(reject);
+  /**
+   * Resuelve los operadores $text de la consulta (también dentro de $and, $or y $nor) con el
+   * índice de texto: cada uno se sustituye por las claves encontradas ({ _id: { $in: [...] } }).
+   * `scores` son las puntuaciones del $text del primer nivel, o null si no lo hay.
+   */
+  _textSearch(store, query) {
+    const specs = this._textSpecs(query);
+    if (specs.length === 0) return Promise.resolve({ query, scores: null });
+    return Promise.all(
+      specs.map((spec) => TextIndex.search(store, spec, this.textFields))
+    ).then((results) => {
+      const found = new Map(specs.map((spec, position) => [spec, results[position]]));
+      return {
+        query: this._mapText(query, (spec) => ({
+          [this.primary]: { $in: Array.from(found.get(spec).keys()) },
+        })),
+        scores: query.$text !== undefined ? found.get(query.$text) : null,
+      };
     });
   }
 
-  _prepare(data) {
+  // Operadores $text de una consulta, en cualquier nivel de $and, $or y $nor
+  _textSpecs(query, specs = []) {
+    if (!query || typeof query !== "object") return specs;
+    if (query.$text !== undefined) specs.push(query.$text);
+    for (const operator of ["$and", "$or", "$nor"]) {
+      if (Array.isArray(query[operator])) {
+        query[operator].forEach((subquery) => this._textSpecs(subquery, specs));
+      }
+    }
+    return specs;
+  }
+
+  // Copia de la consulta con cada $text sustituido por la condición que devuelve `replace(spec)`
+  _mapText(query, replace) {
+    if (this._textSpecs(query).length === 0) return query;
+    const { $text, ...rest } = query;
+    for (const operator of ["$and", "$or", "$nor"]) {
+      if (Array.isArray(rest[operator])) {
+        rest[operator] = rest[operator].map((subquery) => this._mapText(subquery, replace));
+      }
+    }
+    return $text === undefined ? rest : this._addConditions(rest, [replace($text)]);
+  }
+
+  // Comprueba los operadores antes de recorrer nada; $text se valida contra los campos `text`
+  _validateQuery(query) {
+    const specs = this._textSpecs(query);
+    specs.forEach((spec) => TextIndex.assertSpec(spec, this.textFields));
+    Matcher.validate(
+      specs.length === 0 ? query : this._mapText(query, () => ({ [this.primary]: {} }))
+    );
+  }
+
+  // Notifica los cambios de una transacción ya confirmada
+  _flushChanges(transaction) {
+    const changes = this._pendingChanges.get(transaction);
+    if (!changes) return;
+    this._pendingChanges.delete(transaction);
+    this.changes.emit(changes);
+  }
+
+  // Recorre el store aplicando el plan de consulta y el resto del predicado en memoria
+  _iterate(store, query, callback, options = {}) {
+    this._validateQuery(query);
+    return this._textSearch(store, query).then(({ query: filter }) =>
+      QueryPlanner.iterate(
+        store,
+        filter,
+        (value) => Matcher.matches(value, filter),
+        callback,
+        { ...options, adapter: this.adapter, arrayFields: this.arrayFields }
+      )
+    );
+  }
+
+  /**
+   * Limita la consulta a los documentos visibles: con softDelete, los no borrados (o,
+   * con `deleted`, los borrados); con índices TTL, los que no han caducado. Las
+   * condiciones sobre campos que la consulta ya usa se combinan con $and.
+   */
+  _scope(query, { withDeleted = false, deleted = false } = {}) {
+    const conditions = [];
+    if (this.softDelete && !withDeleted) {
+      conditions.push({ [this.softDelete]: deleted ? { $ne: null } : null });
+    }
+    for (const { field, expireAfterSeconds } of this.schema.ttlIndexes) {
+      const cutoff = new Date(Date.now() - expireAfterSeconds * 1000);
+      conditions.push({ $or: [{ [field]: null }, { [field]: { $gt: cutoff } }] });
+    }
+    return conditions.length === 0 ? query : this._addConditions(query, conditions);
+  }
+
+  // Añade condiciones de una clave a la consulta; si ya usa esa clave, se combinan con $and
+  _addConditions(query, conditions) {
+    const combined = { ...(query || {}) };
+    const extra = [];
+    for (const condition of conditions) {
+      const [key] = Object.keys(condition);
+      if (Object.prototype.hasOwnProperty.call(combined, key)) extra.push(condition);
+      else combined[key] = condition[key];
+    }
+    if (extra.length > 0) combined.$and = [...(combined.$and || []), ...extra];
+    return combined;
+  }
+
+  _isDeleted(document) {
+    return Boolean(
+      this.softDelete && document && document[this.softDelete] != null
+    );
+  }
+
+  // Indica si un documento ha caducado según alguno de los índices TTL del esquema
+  _isExpired(document) {
+    if (!document) return false;
+    return this.schema.ttlIndexes.some(
+      ({ field, expireAfterSeconds }) =>
+        document[field] instanceof Date &&
+        document[field].getTime() + expireAfterSeconds * 1000 <= Date.now()
+    );
+  }
+
+  _assertSoftDelete(method) {
+    if (!this.softDelete) {
+      throw new IrisError(`${method}() requires the softDelete model option`, {
+        code: "INVALID_ARGUMENT",
+      });
+    }
+  }
+
+  // Convierte los campos al tipo del esquema; los desconocidos solo se conservan con strict: false
+  _prepare(data, schema = this.schema) {
     const prepared = {};
     for (const [key, value] of Object.entries(data)) {
-      if (this.schema.definition[key]) {
+      if (schema.definition[key]) {
         prepared[key] = this._castValue(
           value,
-          this.schema.definition[key]?.type
+          Validator.field(schema.definition[key]).type
         );
+      } else if (schema.options.strict === false) {
+        prepared[key] = value;
       }
     }
     return prepared;
   }
 
+  /**
+   * Con timestamps, fija createdAt y updatedAt de un documento nuevo (respeta los
+   * recibidos); con versionKey, el documento empieza en la versión 0
+   */
+  _stampCreated(data) {
+    const version = this.schema.versionKey;
+    if (version && data[version] == null) data[version] = 0;
+    const fields = this.schema.timestamps;
+    if (!fields) return data;
+    const now = new Date();
+    if (fields.createdAt && data[fields.createdAt] == null) {
+      data[fields.createdAt] = now;
+    }
+    if (fields.updatedAt && data[fields.updatedAt] == null) {
+      data[fields.updatedAt] = now;
+    }
+    return data;
+  }
+
+  /**
+   * Con timestamps, renueva updatedAt salvo que la actualización ya fije ese campo. Con
+   * versionKey, la nueva versión es siempre la del documento guardado (`previous`) más uno.
+   */
+  _stampUpdated(document, update, previous) {
+    const version = this.schema.versionKey;
+    if (version) document[version] = (previous?.[version] ?? 0) + 1;
+    const field = this.schema.timestamps?.updatedAt;
+    if (!field) return document;
+    const sets = (object) =>
+      Object.prototype.hasOwnProperty.call(object, field);
+    const explicit = Updater.isOperatorUpdate(update)
+      ? Object.values(update).some(
+          (args) => args && typeof args === "object" && sets(args)
+        )
+      : sets(update);
+    if (!explicit) document[field] = new Date();
+    return document;
+  }
+
+  _missingPrimaryKey() {
+    return new IrisError(`Primary key '${this.primary}' is required for update operation`, {
+      code: "PRIMARY_KEY_REQUIRED",
+    });
+  }
+
+  // Devuelve un VersionConflictError si la versión guardada no es `expected` (si se indica)
+  _versionConflict(document, expected, collection) {
+    if (expected === undefined) return null;
+    const actual = document[this.schema.versionKey];
+    if (actual === expected) return null;
+    const id = document[this.primary];
+    return new VersionConflictError(
+      `Version conflict on '${id}': expected version ${expected} but found ${actual}`,
+      { id, collection, expected, actual }
+    );
+  }
+
+  // Aplica los getters del esquema a un documento leído
+  _applyGetters(document) {
+    return Sanitizer.read(this.schema, document);
+  }
+
   // Método para convertir un valor al tipo especificado
   _castValue(value, type) {
+    if (value === null || value === undefined) return value;
+    // Sub-esquemas y arrays tipados: se convierte cada campo o elemento
+    if (type instanceof Schema) {
+      return Validator.isType(value, type)
+        ? this._prepare(value, type)
+        : value;
+    }
+    if (Array.isArray(type)) {
+      return Array.isArray(value) && type.length > 0
+        ? value.map((item) =>
+            this._castValue(item, Validator.field(type[0]).type)
+          )
+        : value;
+    }
     try {
       switch (type) {
         case String:
@@ -596,47 +1745,22 @@ class Model {
     }
   }
 
-  _isValidType(value, type) {
-    if (type === String) return typeof value === "string";
-    if (type === Number) return typeof value === "number" && !isNaN(value);
-    if (type === Boolean) return typeof value === "boolean";
-    if (type === Date) return value instanceof Date && !isNaN(value);
-    if (type === Array) return Array.isArray(value);
-    if (type === Object) return typeof value === "object" && value !== null;
-    return value instanceof type;
-  }
-
+  // Evalúa la consulta completa ($and, $or, rutas con puntos, etc.), ver Matcher. Un $text
+  // se evalúa sobre el propio documento, sin el índice (TextIndex.matches)
   _matchesQuery(item, query) {
-    return Object.entries(query).every(([key, value]) => {
-      if (value && typeof value === "object") {
-        return Object.entries(value).every(([operator, operand]) => {
-          switch (operator) {
-            case "$gt":
-              return item[key] > operand;
-            case "$gte":
-              return item[key] >= operand;
-            case "$lt":
-              return item[key] < operand;
-            case "$lte":
-              return item[key] <= operand;
-            case "$ne":
-              return item[key] !== operand;
-            case "$in":
-              return operand.includes(item[key]);
-            case "$nin":
-              return !operand.includes(item[key]);
-            default:
-              return false;
-          }
-        });
-      }
-      return item[key] === value;
-    });
+    if (this._textSpecs(query).length > 0) {
+      query = this._mapText(query, (spec) => ({
+        [this.primary]: {
+          $in: TextIndex.matches(item, spec, this.textFields) ? [item[this.primary]] : [],
+        },
+      }));
+    }
+    return Matcher.matches(item, query);
   }
 
   // List databases in the current instance. Return an array of objects with name and version properties
   async databases() {
-    return indexedDB.databases().then((dbs) => {
+    return this.adapter.databases().then((dbs) => {
       return dbs.map((db) => ({ name: db.name, version: db.version }));
     });
   }
@@ -644,7 +1768,7 @@ class Model {
   async analyzeDB(dbName) {
     return new Promise((resolve, reject) => {
       try {
-        const request = indexedDB.open(dbName);
+        const request = this.adapter.open(dbName);
 
         request.onsuccess = (event) => {
           const db = event.target.result;
@@ -686,14 +1810,18 @@ class Model {
 
         request.onerror = (event) => {
           reject(
-            new Error(
-              `No se pudo abrir la base de datos: ${event.target.error}`
-            )
+            new IrisError(`No se pudo abrir la base de datos: ${event.target.error}`, {
+              code: "STORAGE_ERROR",
+              cause: event.target.error,
+            })
           );
         };
       } catch (error) {
         reject(
-          new Error(`Error al analizar la base de datos: ${error.message}`)
+          new IrisError(`Error al analizar la base de datos: ${error.message}`, {
+            code: "STORAGE_ERROR",
+            cause: error,
+          })
         );
       }
     });
@@ -0,0 +1,558 @@
+/**
+ * @file OPFSAdapter class: storage backend that persists each database in the Origin Private
+ * File System. Every collection keeps an append-only log of committed transactions and a
+ * compacted snapshot; documents are served from memory and blobs are stored in their own files
+ */
+
+import { IrisError } from "./Errors.js";
+import { MemoryAdapter } from "./MemoryAdapter.js";
+
+const TAG = "~t";
+const MANIFEST = "manifest.json";
+const BLOBS = "blobs";
+const BINARY_TYPES = [
+  "ArrayBuffer", "DataView", "Int8Array", "Uint8Array", "Uint8ClampedArray", "Int16Array",
+  "Uint16Array", "Int32Array", "Uint32Array", "Float32Array", "Float64Array",
+  "BigInt64Array", "BigUint64Array",
+];
+// Tamaño aproximado de cada escritura al volcar un snapshot
+const CHUNK_SIZE = 1024 * 1024;
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+const encoder = new TextEncoder();
+const isBlob = (value) => typeof Blob !== "undefined" && value instanceof Blob;
+
+// Los nombres de las colecciones pueden tener cualquier carácter
+const fileName = (name) => encodeURIComponent(name);
+const logFile = (store) => `${fileName(store)}.log`;
+const snapshotFile = (store, seq) => `${fileName(store)}.${seq}.snapshot`;
+
+const toBase64 = (bytes) => {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+
+/*
+ * JSON con los tipos que IndexedDB guarda y JSON no: Date, Map, Set, RegExp, BigInt, binarios,
+ * números no finitos y Blob/File (en su propio fichero, con su SHA-256 como nombre). Se
+ * escriben como { "~t": tipo, v: valor }; un objeto con la clave "~t" se guarda como "Object"
+ */
+const replacer = (blobIds) =>
+  function (key, value) {
+    const original = this[key];
+    if (original instanceof Date) return { [TAG]: "Date", v: original.getTime() };
+    if (typeof original === "number" && !Number.isFinite(original)) {
+      return { [TAG]: "Number", v: String(original) };
+    }
+    if (typeof original === "bigint") return { [TAG]: "BigInt", v: original.toString() };
+    if (original instanceof Map) return { [TAG]: "Map", v: Array.from(original) };
+    if (original instanceof Set) return { [TAG]: "Set", v: Array.from(original) };
+    if (original instanceof RegExp) {
+      return { [TAG]: "RegExp", v: [original.source, original.flags] };
+    }
+    if (original instanceof ArrayBuffer) {
+      return { [TAG]: "ArrayBuffer", v: toBase64(new Uint8Array(original)) };
+    }
+    if (ArrayBuffer.isView(original)) {
+      const type = original.constructor.name;
+      return {
+        [TAG]: BINARY_TYPES.includes(type) ? type : "Uint8Array",
+        v: toBase64(new Uint8Array(original.buffer, original.byteOffset, original.byteLength)),
+      };
+    }
+    if (isBlob(original)) {
+      const blob = { [TAG]: "Blob", v: blobIds.get(original), type: original.type };
+      if (typeof File !== "undefined" && original instanceof File) {
+        blob.name = original.name;
+        blob.lastModified = original.lastModified;
+      }
+      return blob;
+    }
+    if (original && typeof original === "object" && !Array.isArray(original) && hasOwn(original, TAG)) {
+      return { [TAG]: "Object", v: Object.entries(original) };
+    }
+    return value;
+  };
+
+// `files` son los ficheros de la carpeta de blobs por id; no se leen hasta que se usan
+const reviver = (files, blobIds) =>
+  function (key, value) {
+    if (!value || typeof value !== "object" || Array.isArray(value) || !hasOwn(value, TAG)) {
+      return value;
+    }
+    const data = value.v;
+    switch (value[TAG]) {
+      case "Date":
+        return new Date(data);
+      case "Number":
+        return Number(data);
+      case "BigInt":
+        return BigInt(data);
+      case "Map":
+        return new Map(data);
+      case "Set":
+        return new Set(data);
+      case "RegExp":
+        return new RegExp(data[0], data[1]);
+      case "Object":
+        return Object.fromEntries(data);
+      case "Blob": {
+        const file = files.get(data);
+        if (!file) throw new Error(`Blob file '${data}' is missing`);
+        const blob =
+          value.name === undefined
+            ? new Blob([file], { type: value.type })
+            : new File([file], value.name, {
+                type: value.type,
+                lastModified: value.lastModified,
+              });
+        blobIds.set(blob, data);
+        return blob;
+      }
+      default: {
+        if (!BINARY_TYPES.includes(value[TAG])) return value;
+        const { buffer } = fromBase64(data);
+        if (value[TAG] === "ArrayBuffer") return buffer;
+        return new globalThis[value[TAG]](buffer);
+      }
+    }
+  };
+
+// Blobs contenidos en un valor
+const collectBlobs = (value, found = new Set(), seen = new Set()) => {
+  if (!value || typeof value !== "object" || seen.has(value)) return found;
+  seen.add(value);
+  if (isBlob(value)) return found.add(value);
+  if (value instanceof Date || value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+    return found;
+  }
+  const items =
+    value instanceof Map
+      ? [...value.keys(), ...value.values()]
+      : value instanceof Set
+        ? value
+        : Object.values(value);
+  for (const item of items) collectBlobs(item, found, seen);
+  return found;
+};
+
+const digest = async (blob) => {
+  const hash = await crypto.subtle.digest("SHA-256", await blob.arrayBuffer());
+  return Array.from(new Uint8Array(hash), (byte) => byte.toString(16).padStart(2, "0")).join("");
+};
+
+const notFound = (error) => error && error.name === "NotFoundError";
+
+const readText = async (folder, name) => {
+  try {
+    const handle = await folder.getFileHandle(name);
+    return await (await handle.getFile()).text();
+  } catch (error) {
+    if (notFound(error)) return null;
+    throw error;
+  }
+};
+
+/*
+ * createWritable escribe en un fichero temporal que sustituye al original al cerrarse, así
+ * que cada escritura completa es atómica. Devuelve el tamaño final del fichero
+ */
+const writeFile = async (folder, name, chunks, { append = false } = {}) => {
+  const handle = await folder.getFileHandle(name, { create: true });
+  let size = append ? (await handle.getFile()).size : 0;
+  const writable = await handle.createWritable({ keepExistingData: append });
+  try {
+    for (const chunk of chunks) {
+      await writable.write({ type: "write", position: size, data: chunk });
+      size += typeof chunk === "string" ? encoder.encode(chunk).length : chunk.size;
+    }
+    await writable.close();
+  } catch (error) {
+    await writable.abort().catch(() => {});
+    throw error;
+  }
+  return size;
+};
+
+const removeEntry = async (folder, name, options) => {
+  try {
+    await folder.removeEntry(name, options);
+  } catch (error) {
+    if (!notFound(error)) throw error;
+  }
+};
+
+const entryNames = async (folder) => {
+  const names = [];
+  for await (const [name] of folder.entries()) names.push(name);
+  return names;
+};
+
+// Cabecera { seq, count } y un registro [key, value] por línea, en trozos de CHUNK_SIZE
+function* snapshotChunks(seq, records, encode) {
+  let chunk = `${encode({ seq, count: records.length })}\n`;
+  for (const record of records) {
+    chunk += `${encode(record)}\n`;
+    if (chunk.length >= CHUNK_SIZE) {
+      yield chunk;
+      chunk = "";
+    }
+  }
+  if (chunk) yield chunk;
+}
+
+class OPFSAdapter extends MemoryAdapter {
+  /**
+   * `directory` es la carpeta del OPFS con las bases de datos (una subcarpeta por base de
+   * datos); `compactThreshold`, los bytes del log de una colección a partir de los que se
+   * reescribe su snapshot; `root`, el directorio raíz (navigator.storage.getDirectory()), y
+   * `locks`, el LockManager con el que se reserva cada base de datos (navigator.locks)
+   */
+  constructor({
+    directory = "iris-odm",
+    compactThreshold = 1024 * 1024,
+    root = null,
+    locks = typeof navigator !== "undefined" ? navigator.locks : null,
+  } = {}) {
+    super();
+    this.directory = directory;
+    this.compactThreshold = compactThreshold;
+    this._root = root;
+    this._lockManager = locks || null;
+    // Función que suelta el bloqueo de cada base de datos abierta por este adaptador
+    this._locks = new Map();
+    // Por base de datos: { manifest, seq } (último número de transacción usado)
+    this._meta = new Map();
+    // Operaciones de disco pendientes por base de datos, siempre en orden
+    this._queues = new Map();
+    // Id (SHA-256) de los blobs ya guardados o leídos
+    this._blobIds = new WeakMap();
+  }
+
+  static isSupported() {
+    return (
+      typeof navigator !== "undefined" &&
+      !!navigator.storage &&
+      typeof navigator.storage.getDirectory === "function"
+    );
+  }
+
+  async databases() {
+    const folder = await this._folder();
+    const databases = [];
+    for (const entry of await entryNames(folder)) {
+      const manifest = JSON.parse(
+        (await readText(await folder.getDirectoryHandle(entry), MANIFEST)) || "null"
+      );
+      if (manifest) databases.push({ name: decodeURIComponent(entry), version: manifest.version });
+    }
+    return databases;
+  }
+
+  // Compacta todas las colecciones y borra los blobs a los que ya no apunta ningún documento
+  compact(name) {
+    return this._exclusive(name, (backend) => {
+      // Si no estaba abierta, se libera al terminar
+      if (backend.connections.size === 0) this._idle(backend);
+      if (backend.version === 0) return;
+      return this._serial(name, async () => {
+        const meta = this._meta.get(name);
+        const folder = await this._databaseFolder(name, true);
+        await this._writeSnapshots(name, folder, this._dump(backend), ++meta.seq, true);
+      });
+    });
+  }
+
+  /*
+   * Cada pestaña o worker guarda su propia copia en memoria, así que solo uno puede tener
+   * abierta una base de datos: el primero la reserva con un bloqueo exclusivo hasta que cierra
+   * su última conexión y los demás fallan al abrirla
+   */
+  _load(name) {
+    return this._serial(name, async () => {
+      await this._lock(name);
+      try {
+        const folder = await this._databaseFolder(name);
+        const manifest = folder && JSON.parse((await readText(folder, MANIFEST)) || "null");
+        this._meta.set(name, { manifest, seq: manifest ? manifest.seq : 0 });
+        return manifest ? await this._recover(name, folder, manifest) : null;
+      } catch (error) {
+        await this._unlock(name);
+        throw error;
+      }
+    });
+  }
+
+  /*
+   * Cada transacción que escribe añade una línea { seq, stores, ops } al log de cada colección
+   * que modifica. Una versionchange (cambio de colecciones o índices) compacta todo
+   */
+  _persist(backend, transaction) {
+    if (transaction.mode === "readonly" || backend.deleted) return null;
+    const changes = transaction._changes;
+    if (transaction.mode === "readwrite" && changes.length === 0) return null;
+    const name = backend.name;
+    const state = transaction.mode === "versionchange" ? this._dump(backend) : null;
+
+    return this._serial(name, async () => {
+      const meta = this._meta.get(name);
+      const seq = ++meta.seq;
+      const folder = await this._databaseFolder(name, true);
+      if (state) return this._writeSnapshots(name, folder, state, seq, true);
+
+      const ops = new Map();
+      for (const { store, type, key, value } of changes) {
+        if (!ops.has(store)) ops.set(store, []);
+        ops.get(store).push(type === "put" ? [type, key, value] : type === "delete" ? [type, key] : [type]);
+      }
+      const stores = Array.from(ops.keys());
+      await this._saveBlobs(folder, collectBlobs(changes.map((change) => change.value)));
+      const large = [];
+      for (const [store, list] of ops) {
+        const line = `${JSON.stringify({ seq, stores, ops: list }, replacer(this._blobIds))}\n`;
+        const size = await writeFile(folder, logFile(store), [line], { append: true });
+        if (size > this.compactThreshold) large.push(store);
+      }
+      if (large.length === 0) return;
+      // Si la compactación falla no se pierde nada: el log sigue siendo válido
+      await this._writeSnapshots(name, folder, this._dump(backend, large), ++meta.seq, false).catch(
+        (error) => console.error("Error compacting OPFS log:", error)
+      );
+    });
+  }
+
+  _remove(name) {
+    return this._serial(name, async () => {
+      await this._lock(name);
+      try {
+        await removeEntry(await this._folder(), fileName(name), { recursive: true });
+        this._meta.delete(name);
+      } finally {
+        await this._unlock(name);
+      }
+    });
+  }
+
+  // Sin conexiones, tras las escrituras pendientes se descarga la base de datos y se libera
+  _idle(backend) {
+    if (backend.deleted || backend.unloaded) return;
+    this._exclusive(backend.name, (current) => {
+      if (current !== backend || backend.unloaded || backend.connections.size > 0) return;
+      this._unload(backend);
+      return this._serial(backend.name, () => this._unlock(backend.name));
+    }).catch((error) => console.error("Error releasing OPFS database:", error));
+  }
+
+  async _lock(name) {
+    if (this._locks.has(name) || !this._lockManager) return;
+    const key = `iris-odm:${this.directory}/${fileName(name)}`;
+    const release = await new Promise((resolve, reject) => {
+      const done = this._lockManager.request(key, { ifAvailable: true }, (lock) => {
+        if (!lock) return resolve(null);
+        // El bloqueo se mantiene hasta que se resuelve esta promesa
+        return new Promise((unlock) =>
+          resolve(() => {
+            unlock();
+            return done;
+          })
+        );
+      });
+      done.catch(reject);
+    });
+    if (!release) {
+      throw new IrisError(
+        `Database '${name}' is open in another tab or worker`,
+        { code: "DATABASE_LOCKED" }
+      );
+    }
+    this._locks.set(name, release);
+  }
+
+  async _unlock(name) {
+    const release = this._locks.get(name);
+    this._locks.delete(name);
+    if (release) await release();
+  }
+
+  /*
+   * Reconstruye cada colección con su snapshot y las líneas posteriores de su log. Se descarta
+   * una línea cortada por un cierre inesperado y una transacción que no llegó a escribirse en
+   * todas sus colecciones; en ese caso se compacta para dejar los ficheros limpios
+   */
+  async _recover(name, folder, manifest) {
+    const files = await this._blobFiles(folder);
+    const decode = (text) => JSON.parse(text, reviver(files, this._blobIds));
+    const keyId = (key) => JSON.stringify(key, replacer(this._blobIds));
+    const meta = this._meta.get(name);
+    let damaged = false;
+
+    const logs = new Map();
+    for (const store of Object.keys(manifest.stores)) {
+      const lines = [];
+      for (const text of ((await readText(folder, logFile(store))) || "").split("\n")) {
+        if (!text) continue;
+        try {
+          lines.push(decode(text));
+        } catch (error) {
+          damaged = true;
+          break;
+        }
+      }
+      logs.set(store, lines);
+      lines.forEach((line) => (meta.seq = Math.max(meta.seq, line.seq)));
+    }
+    const saved = (store, seq) =>
+      (manifest.stores[store]?.snapshot || 0) >= seq ||
+      !!logs.get(store)?.some((line) => line.seq === seq);
+
+    const stores = [];
+    for (const [store, info] of Object.entries(manifest.stores)) {
+      const records = new Map();
+      if (info.snapshot) {
+        const text = await readText(folder, snapshotFile(store, info.snapshot));
+        const [header, ...lines] = (text || "").split("\n").filter(Boolean);
+        if (!header || JSON.parse(header).count !== lines.length) {
+          throw new Error(`The snapshot of '${store}' in '${name}' is incomplete`);
+        }
+        for (const line of lines) {
+          const [key, value] = decode(line);
+          records.set(keyId(key), [key, value]);
+        }
+      }
+      for (const line of logs.get(store)) {
+        if (line.seq <= (info.snapshot || 0)) continue;
+        if (!line.stores.every((other) => saved(other, line.seq))) {
+          damaged = true;
+          continue;
+        }
+        for (const [type, key, value] of line.ops) {
+          if (type === "clear") records.clear();
+          else if (type === "delete") records.delete(keyId(key));
+          else records.set(keyId(key), [key, value]);
+        }
+      }
+      stores.push({
+        name: store,
+        keyPath: info.keyPath,
+        autoIncrement: info.autoIncrement,
+        indexes: info.indexes,
+        records: Array.from(records.values()),
+      });
+    }
+
+    const state = { version: manifest.version, stores };
+    if (damaged) await this._writeSnapshots(name, folder, state, ++meta.seq, true);
+    return state;
+  }
+
+  /*
+   * Escribe el snapshot de las colecciones de `state` y después el manifiesto, que es el que
+   * los da por válidos; luego vacía sus logs y borra los ficheros que ya no se usan. Con
+   * `full` el estado incluye todas las colecciones y se borran también los blobs huérfanos
+   */
+  async _writeSnapshots(name, folder, state, seq, full) {
+    const meta = this._meta.get(name);
+    const encode = (value) => JSON.stringify(value, replacer(this._blobIds));
+    const blobs = collectBlobs(state.stores.map((store) => store.records));
+    await this._saveBlobs(folder, blobs);
+
+    const stores = full ? {} : { ...meta.manifest.stores };
+    for (const store of state.stores) {
+      await writeFile(folder, snapshotFile(store.name, seq), snapshotChunks(seq, store.records, encode));
+      stores[store.name] = {
+        keyPath: store.keyPath,
+        autoIncrement: store.autoIncrement,
+        indexes: store.indexes,
+        snapshot: seq,
+      };
+    }
+    const manifest = { version: state.version, seq, stores };
+    await writeFile(folder, MANIFEST, [JSON.stringify(manifest)]);
+    meta.manifest = manifest;
+
+    for (const store of state.stores) await writeFile(folder, logFile(store.name), []);
+    const keep = new Set([MANIFEST, BLOBS]);
+    for (const [store, info] of Object.entries(stores)) {
+      keep.add(logFile(store));
+      keep.add(snapshotFile(store, info.snapshot));
+    }
+    for (const entry of await entryNames(folder)) {
+      if (!keep.has(entry)) await removeEntry(folder, entry);
+    }
+    if (full) {
+      const used = new Set(Array.from(blobs, (blob) => this._blobIds.get(blob)));
+      const folderBlobs = await this._blobFolder(folder, false);
+      if (!folderBlobs) return;
+      for (const id of await entryNames(folderBlobs)) {
+        if (!used.has(id)) await removeEntry(folderBlobs, id);
+      }
+    }
+  }
+
+  // Guarda cada blob una sola vez, con su SHA-256 como nombre
+  async _saveBlobs(folder, blobs) {
+    if (blobs.size === 0) return;
+    const folderBlobs = await this._blobFolder(folder, true);
+    for (const blob of blobs) {
+      const id = this._blobIds.get(blob) || (await digest(blob));
+      this._blobIds.set(blob, id);
+      try {
+        await folderBlobs.getFileHandle(id);
+      } catch (error) {
+        if (!notFound(error)) throw error;
+        await writeFile(folderBlobs, id, [blob]);
+      }
+    }
+  }
+
+  async _blobFiles(folder) {
+    const files = new Map();
+    const folderBlobs = await this._blobFolder(folder, false);
+    if (!folderBlobs) return files;
+    for (const id of await entryNames(folderBlobs)) {
+      files.set(id, await (await folderBlobs.getFileHandle(id)).getFile());
+    }
+    return files;
+  }
+
+  async _blobFolder(folder, create) {
+    try {
+      return await folder.getDirectoryHandle(BLOBS, { create });
+    } catch (error) {
+      if (notFound(error)) return null;
+      throw error;
+    }
+  }
+
+  async _folder() {
+    if (!this._root && !OPFSAdapter.isSupported()) {
+      throw new Error("The Origin Private File System is not available in this environment");
+    }
+    const root = this._root || (await navigator.storage.getDirectory());
+    return root.getDirectoryHandle(this.directory, { create: true });
+  }
+
+  // Carpeta de una base de datos; null si no existe y no se pide crearla
+  async _databaseFolder(name, create = false) {
+    try {
+      return await (await this._folder()).getDirectoryHandle(fileName(name), { create });
+    } catch (error) {
+      if (notFound(error)) return null;
+      throw error;
+    }
+  }
+
+  _serial(name, task) {
+    const previous = this._queues.get(name) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    this._queues.set(name, next);
+    return next;
+  }
+}
+
+export { OPFSAdapter };
@@ -0,0 +1,140 @@
+/**
+ * @file Populator class: replaces `ref` fields with the referenced documents in batched lookups
+ */
+
+import { Query } from "./Query.js";
+import { Matcher } from "./Matcher.js";
+import { QueryPlanner } from "./QueryPlanner.js";
+import { Updater } from "./Updater.js";
+import { Schema } from "./Schema.js";
+import { Validator } from "./Validator.js";
+import { NotFoundError } from "./Errors.js";
+
+class Populator {
+  /**
+   * Normaliza la especificación de populate a una lista de { path, select, populate, model }.
+   * Acepta "author", "author comments", { path, select, populate, model } o un array de ellos.
+   */
+  static normalize(spec, select = null) {
+    if (!spec) return [];
+    if (Array.isArray(spec)) {
+      return spec.flatMap((entry) => Populator.normalize(entry));
+    }
+    if (typeof spec === "string") {
+      return spec
+        .split(/[\s,]+/)
+        .filter(Boolean)
+        .map((path) => ({ path, select, populate: [], model: null }));
+    }
+    if (!spec.path || typeof spec.path !== "string") {
+      throw new Error("Populate expects a path");
+    }
+    return spec.path
+      .split(/[\s,]+/)
+      .filter(Boolean)
+      .map((path) => ({
+        path,
+        select: spec.select || null,
+        populate: Populator.normalize(spec.populate),
+        model: spec.model || null,
+      }));
+  }
+
+  // Resuelve cada ruta con una sola consulta $in sobre la colección referenciada
+  static async populate(model, documents, specs) {
+    const items = documents.filter(Boolean);
+    if (items.length === 0) return documents;
+
+    for (const spec of specs) {
+      const { target, collection } = Populator.resolveRef(model, spec);
+      const primary = target.primary;
+
+      const ids = [];
+      for (const item of items) {
+        for (const id of Populator.idsAt(item, spec.path)) {
+          if (!ids.some((known) => Matcher.equals(known, id))) ids.push(id);
+        }
+      }
+      if (ids.length === 0) continue;
+
+      let related = await target.find(
+        { [primary]: { $in: ids } },
+        { collection }
+      );
+      if (spec.populate.length > 0) {
+        related = await Populator.populate(target, related, spec.populate);
+      }
+      const projection = Query.normalizeProjection(spec.select);
+      const byId = new Map(
+        related.map((doc) => [
+          Populator.key(doc[primary]),
+          Query.project(doc, projection),
+        ])
+      );
+      const lookup = (id) =>
+        QueryPlanner.isValidKey(id) ? byId.get(Populator.key(id)) : undefined;
+
+      for (const item of items) {
+        const value = Matcher.getPath(item, spec.path);
+        if (value === undefined || value === null) continue;
+        // Como en Mongoose: una referencia rota queda a null y en arrays se omite
+        const populated = Array.isArray(value)
+          ? value.map(lookup).filter((doc) => doc !== undefined)
+          : lookup(value) ?? null;
+        Updater.setPath(item, spec.path, populated);
+      }
+    }
+    return documents;
+  }
+
+  /**
+   * El destino sale de `model` en la especificación o del `ref` del esquema: un Model
+   * (otra base de datos) o el nombre de una colección de la misma base de datos.
+   */
+  static resolveRef(model, spec) {
+    const ref = spec.model || Populator.refAt(model.schema, spec.path);
+    if (!ref) {
+      throw new Error(`Field '${spec.path}' has no 'ref' to populate`);
+    }
+    if (typeof ref !== "string") return { target: ref, collection: undefined };
+
+    if (!model.db || !Array.from(model.db.objectStoreNames).includes(ref)) {
+      throw new NotFoundError(`Collection '${ref}' not found`, { collection: ref });
+    }
+    return { target: model, collection: ref };
+  }
+
+  /**
+   * `ref` del campo de una ruta con puntos ('author', 'meta.author'). Entra en los
+   * sub-esquemas y admite el `ref` en el array ({ type: Array, ref }) o en su elemento
+   * ([{ type: String, ref }]).
+   */
+  static refAt(schema, path) {
+    let rules = { type: schema };
+    for (const segment of path.split(".")) {
+      const type = Validator.resolveType(Populator.element(rules).type);
+      if (!(type instanceof Schema) || !type.definition[segment]) return undefined;
+      rules = Validator.field(type.definition[segment]);
+    }
+    return rules.ref ?? Populator.element(rules).ref;
+  }
+
+  // Reglas del elemento de un array tipado; las de cualquier otro campo, tal cual
+  static element(rules) {
+    const type = Validator.resolveType(rules.type);
+    return Array.isArray(type) && type.length > 0 ? Validator.field(type[0]) : rules;
+  }
+
+  static idsAt(item, path) {
+    const value = Matcher.getPath(item, path);
+    const values = Array.isArray(value) ? value : [value];
+    return values.filter(QueryPlanner.isValidKey);
+  }
+
+  // Las fechas se comparan por valor al usarse como clave del Map
+  static key(id) {
+    return id instanceof Date ? `date:${id.getTime()}` : id;
+  }
+}
+
+export { Populator };
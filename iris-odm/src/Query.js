@@ -0,0 +1,308 @@
+/**
+ * @file Query class: lazy, chainable and thenable wrapper around Model.find
+ */
+
+import { QueryPlanner } from "./QueryPlanner.js";
+import { StorageAdapter } from "./StorageAdapter.js";
+import { Matcher } from "./Matcher.js";
+import { Populator } from "./Populator.js";
+
+class Query {
+  constructor(model, filter = null, options = {}) {
+    this.model = model;
+    this.filter = filter;
+    this.options = {
+      sort: null,
+      skip: 0,
+      limit: null,
+      fields: null,
+      populate: [],
+      collection: options.collection || null,
+      // findById: devuelve el primer documento en lugar de un array
+      single: Boolean(options.single),
+      // Las consultas internas (unique, agregaciones...) no ejecutan los hooks de find
+      hooks: options.hooks !== false,
+      // ni aplican los getters del esquema: trabajan con los valores guardados
+      getters: options.getters ?? options.hooks !== false,
+      // Con softDelete, los documentos borrados solo se incluyen si se piden
+      withDeleted: Boolean(options.withDeleted),
+    };
+    if (options.sort) this.sort(options.sort);
+    if (options.skip) this.skip(options.skip);
+    if (options.limit !== undefined && options.limit !== null) {
+      this.limit(options.limit);
+    }
+    if (options.fields) this.select(options.fields);
+    if (options.populate) this.populate(options.populate);
+  }
+
+  // Añade condiciones a la consulta actual
+  where(filter) {
+    this.filter = { ...(this.filter || {}), ...filter };
+    return this;
+  }
+
+  // Acepta { campo: 1 | -1 | "asc" | "desc" } o un string como "-updatedAt name"
+  sort(spec) {
+    this.options.sort = Query.normalizeSort(spec);
+    return this;
+  }
+
+  skip(count) {
+    this.options.skip = Math.max(0, parseInt(count, 10) || 0);
+    return this;
+  }
+
+  limit(count) {
+    this.options.limit =
+      count === null || count === undefined
+        ? null
+        : Math.max(0, parseInt(count, 10) || 0);
+    return this;
+  }
+
+  // Acepta un array de campos, un string "name age" o un objeto { name: 1 } / { password: 0 }
+  select(fields) {
+    this.options.fields = Query.normalizeProjection(fields);
+    return this;
+  }
+
+  /**
+   * Sustituye campos con `ref` por los documentos referenciados:
+   * populate("author"), populate("author", "name email") o
+   * populate({ path: "author", select: "name", populate: { path: "company" } })
+   */
+  populate(spec, select = null) {
+    this.options.populate.push(...Populator.normalize(spec, select));
+    return this;
+  }
+
+  // Incluye los documentos marcados como borrados (modelos con softDelete)
+  withDeleted(enabled = true) {
+    this.options.withDeleted = Boolean(enabled);
+    return this;
+  }
+
+  // Cuenta los documentos que cumplen el filtro (ignora sort, skip y limit)
+  count() {
+    return this.model.count(this.filter, this.options.collection || undefined, {
+      withDeleted: this.options.withDeleted,
+    });
+  }
+
+  /**
+   * Ejecuta la consulta pasando por los hooks pre('find') y post('find') del esquema.
+   * Un hook pre puede modificar `ctx.query`; los post reciben los resultados.
+   */
+  exec() {
+    const model = this.model;
+    if (!this.options.hooks) return this._run(this.filter);
+
+    const { sort, skip, limit, fields, single } = this.options;
+    return model
+      ._before("find", {
+        query: this.filter,
+        options: { sort, skip, limit, fields },
+        single,
+        collection: this.options.collection || undefined,
+      })
+      .then((ctx) =>
+        this._run(ctx.query).then((result) => model._after("find", result, ctx))
+      );
+  }
+
+  _run(filter) {
+    const { skip, fields, collection, populate, single, getters } = this.options;
+    const limit = single ? 1 : this.options.limit;
+    const model = this.model;
+    filter = model._scope(filter, { withDeleted: this.options.withDeleted });
+
+    if (limit === 0) return Promise.resolve([]);
+
+    return model._executeTransaction("readonly", (store) =>
+      model._textSearch(store, filter).then(({ query, scores }) => {
+        // Con $text se ordena por relevancia (_score) salvo que se pida otro orden
+        const sort = this.options.sort || (scores ? { _score: -1 } : null);
+        const sortFields = sort ? Object.keys(sort) : [];
+        const orderBy = sortFields.length === 1 ? sortFields[0] : null;
+        const comparator = sort ? Query.comparator(sort) : null;
+        const bounded = limit !== null ? skip + limit : null;
+        // Getters y virtuales se aplican antes de ordenar para poder ordenar por un virtual
+        const output = (value) => {
+          const document = getters ? model._applyGetters(value) : value;
+          return scores
+            ? { ...document, _score: scores.get(value[model.primary]) }
+            : document;
+        };
+        let results = [];
+        let skipped = 0;
+
+        return model
+          ._iterate(
+            store,
+            query,
+            (value, cursor, plan) => {
+              // Sin orden o con el índice ya ordenado podemos cortar el cursor
+              if (!sort || plan.ordered) {
+                if (skipped < skip) {
+                  skipped++;
+                  return;
+                }
+                results.push(output(value));
+                return limit === null || results.length < limit;
+              }
+
+              // Orden en memoria: con límite solo conservamos los primeros skip + limit
+              if (bounded === null) {
+                results.push(output(value));
+                return;
+              }
+              Query.insertSorted(results, output(value), comparator);
+              if (results.length > bounded) results.pop();
+            },
+            {
+              orderBy,
+              direction: orderBy && sort[orderBy] < 0 ? "prev" : "next",
+              preferOrder: limit !== null,
+            }
+          )
+          .then((plan) => {
+            if (sort && !plan.ordered) {
+              if (bounded === null) results.sort(comparator);
+              results = results.slice(skip, bounded === null ? undefined : bounded);
+            }
+            return fields
+              ? results.map((item) => Query.project(item, fields))
+              : results;
+          });
+      }), collection || model.activeCollection)
+      .then((results) =>
+        populate.length > 0
+          ? Populator.populate(model, results, populate)
+          : results
+      )
+      .then((results) => (single ? results[0] : results));
+  }
+
+  // Recorre los resultados por lotes sin cargarlos todos en memoria
+  cursor(options = {}) {
+    return this.model.cursor(this.filter, { ...this.options, ...options });
+  }
+
+  [Symbol.asyncIterator]() {
+    return this.cursor();
+  }
+
+  then(resolve, reject) {
+    return this.exec().then(resolve, reject);
+  }
+
+  catch(reject) {
+    return this.exec().catch(reject);
+  }
+
+  finally(callback) {
+    return this.exec().finally(callback);
+  }
+
+  static normalizeSort(spec) {
+    if (!spec) return null;
+    const sort = {};
+    if (typeof spec === "string") {
+      spec
+        .split(/[\s,]+/)
+        .filter(Boolean)
+        .forEach((field) => {
+          if (field.startsWith("-")) sort[field.slice(1)] = -1;
+          else sort[field.replace(/^\+/, "")] = 1;
+        });
+    } else {
+      for (const [field, order] of Object.entries(spec)) {
+        sort[field] =
+          order === -1 || order === "desc" || order === "descending" ? -1 : 1;
+      }
+    }
+    return Object.keys(sort).length > 0 ? sort : null;
+  }
+
+  static normalizeProjection(fields) {
+    if (!fields) return null;
+    if (Array.isArray(fields.include) || Array.isArray(fields.exclude)) {
+      return fields;
+    }
+    if (typeof fields === "string") {
+      fields = fields.split(/[\s,]+/).filter(Boolean);
+    }
+    if (Array.isArray(fields)) {
+      return fields.length > 0 ? { include: fields } : null;
+    }
+    const entries = Object.entries(fields);
+    const include = entries.filter(([, value]) => value).map(([key]) => key);
+    const exclude = entries.filter(([, value]) => !value).map(([key]) => key);
+    if (include.length > 0 && exclude.length > 0) {
+      throw new Error("Projection cannot mix included and excluded fields");
+    }
+    if (include.length > 0) return { include };
+    return exclude.length > 0 ? { exclude } : null;
+  }
+
+  // Aplica una proyección normalizada a un documento
+  static project(item, projection) {
+    if (!projection) return item;
+    if (projection.include) {
+      const selected = {};
+      for (const field of projection.include) {
+        if (item.hasOwnProperty(field)) selected[field] = item[field];
+      }
+      return selected;
+    }
+    const selected = { ...item };
+    for (const field of projection.exclude) delete selected[field];
+    return selected;
+  }
+
+  /**
+   * Compara dos valores con el mismo orden que IndexedDB para claves válidas
+   * (números < fechas < strings); null y undefined van primero.
+   */
+  static compareValues(a, b) {
+    if (a === b) return 0;
+    const aMissing = a === undefined || a === null;
+    const bMissing = b === undefined || b === null;
+    if (aMissing || bMissing) return aMissing ? (bMissing ? 0 : -1) : 1;
+    if (QueryPlanner.isValidKey(a) && QueryPlanner.isValidKey(b)) {
+      return StorageAdapter.compareKeys(a, b);
+    }
+    if (typeof a === "boolean" && typeof b === "boolean") {
+      return Number(a) - Number(b);
+    }
+    const left = String(a);
+    const right = String(b);
+    return left < right ? -1 : left > right ? 1 : 0;
+  }
+
+  static comparator(sort, get = Matcher.getPath) {
+    const entries = Object.entries(sort);
+    return (a, b) => {
+      for (const [field, order] of entries) {
+        const diff = Query.compareValues(get(a, field), get(b, field));
+        if (diff !== 0) return diff * order;
+      }
+      return 0;
+    };
+  }
+
+  // Inserta manteniendo el orden (búsqueda binaria, estable para empates)
+  static insertSorted(list, value, comparator) {
+    let low = 0;
+    let high = list.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (comparator(list[middle], value) <= 0) low = middle + 1;
+      else high = middle;
+    }
+    list.splice(low, 0, value);
+  }
+}
+
+export { Query };
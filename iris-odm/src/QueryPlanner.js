@@ -0,0 +1,391 @@
+/**
+ * @file Query planner: picks the index (or primary key) able to narrow a query with a key range
+ */
+
+import { StorageAdapter } from "./StorageAdapter.js";
+
+const RANGE_OPERATORS = ["$gt", "$gte", "$lt", "$lte"];
+
+// Prioridad de cada tipo de plan, menor es mejor
+const PLAN_COST = { primary: 0, eq: 1, in: 2, range: 3 };
+
+const compare = StorageAdapter.compareKeys;
+
+// Los rangos los crea el adaptador de almacenamiento del modelo (`options.adapter`)
+const keyRange = (options) =>
+  options.adapter ? options.adapter.KeyRange : globalThis.IDBKeyRange;
+
+class QueryPlanner {
+  // Comprueba si un valor puede usarse como clave de IndexedDB
+  static isValidKey(value) {
+    if (typeof value === "number") return !isNaN(value);
+    if (typeof value === "string") return true;
+    if (value instanceof Date) return !isNaN(value.getTime());
+    return false;
+  }
+
+  /**
+   * Devuelve los campos indexados del store: { campo: { index, multiEntry } }. Los
+   * índices compuestos se añaden con su nombre y `compound` (los campos de su keyPath).
+   */
+  static indexedFields(store) {
+    const fields = {};
+    const indexNames = Array.from(store.indexNames);
+    for (let i = 0; i < indexNames.length; i++) {
+      const index = store.index(indexNames[i]);
+      if (typeof index.keyPath === "string" && !fields[index.keyPath]) {
+        fields[index.keyPath] = { index, multiEntry: index.multiEntry };
+      } else if (Array.isArray(index.keyPath) && !fields[index.name]) {
+        fields[index.name] = {
+          index,
+          multiEntry: false,
+          compound: Array.from(index.keyPath),
+        };
+      }
+    }
+    if (typeof store.keyPath === "string") {
+      fields[store.keyPath] = { index: null, multiEntry: false };
+    }
+    return fields;
+  }
+
+  // Traduce la condición de un campo a un rango de claves, o null si no es indexable
+  static planCondition(condition, KeyRange = globalThis.IDBKeyRange) {
+    if (
+      !condition ||
+      typeof condition !== "object" ||
+      condition instanceof Date
+    ) {
+      if (!QueryPlanner.isValidKey(condition)) return null;
+      return { type: "eq", range: KeyRange.only(condition), exact: true };
+    }
+
+    const operators = Object.keys(condition);
+
+    if (Array.isArray(condition.$in)) {
+      if (!condition.$in.every(QueryPlanner.isValidKey)) return null;
+      const keys = [];
+      condition.$in
+        .slice()
+        .sort(compare)
+        .forEach((key) => {
+          if (!keys.length || compare(keys[keys.length - 1], key) !== 0) {
+            keys.push(key);
+          }
+        });
+      if (keys.length === 0) return { type: "in", empty: true, exact: true };
+      return {
+        type: "in",
+        keys,
+        exact: operators.length === 1,
+      };
+    }
+
+    let lower;
+    let upper;
+    let lowerOpen = false;
+    let upperOpen = false;
+    let exact = true;
+    for (const operator of operators) {
+      const operand = condition[operator];
+      if (!RANGE_OPERATORS.includes(operator) || !QueryPlanner.isValidKey(operand)) {
+        exact = false;
+        continue;
+      }
+      const open = operator === "$gt" || operator === "$lt";
+      if (operator === "$gt" || operator === "$gte") {
+        const diff = lower === undefined ? 1 : compare(operand, lower);
+        if (diff > 0 || (diff === 0 && open)) {
+          lower = operand;
+          lowerOpen = open;
+        }
+      } else {
+        const diff = upper === undefined ? -1 : compare(operand, upper);
+        if (diff < 0 || (diff === 0 && open)) {
+          upper = operand;
+          upperOpen = open;
+        }
+      }
+    }
+
+    if (lower === undefined && upper === undefined) return null;
+    if (lower !== undefined && upper !== undefined) {
+      const diff = compare(lower, upper);
+      if (diff > 0 || (diff === 0 && (lowerOpen || upperOpen))) {
+        return { type: "range", empty: true, exact };
+      }
+      return {
+        type: "range",
+        range: KeyRange.bound(lower, upper, lowerOpen, upperOpen),
+        exact,
+      };
+    }
+    return {
+      type: "range",
+      range:
+        lower !== undefined
+          ? KeyRange.lowerBound(lower, lowerOpen)
+          : KeyRange.upperBound(upper, upperOpen),
+      exact,
+    };
+  }
+
+  /**
+   * Elige la mejor fuente para recorrer el store según la consulta.
+   * Devuelve { source, field, range, keys, empty, exact, multiEntry, ordered }; sin
+   * índice aplicable la fuente es el propio store y el rango null (recorrido completo).
+   * Con `options.orderBy` intenta recorrer el índice de ese campo para entregar los
+   * registros ya ordenados (`ordered: true`); `options.preferOrder` lo prioriza sobre
+   * un índice de filtrado en otro campo. Los campos de `options.arrayFields` solo se
+   * filtran con índices multiEntry: en los demás la clave es el array completo.
+   */
+  static plan(store, query = null, options = {}) {
+    const KeyRange = keyRange(options);
+    const fields = QueryPlanner.indexedFields(store);
+    const arrayFields = options.arrayFields || [];
+    const queryFields =
+      query && typeof query === "object" ? Object.keys(query) : [];
+    const conditions = {};
+    let best = null;
+
+    for (const field of queryFields) {
+      if (field.startsWith("$") || !fields[field] || fields[field].compound) {
+        continue;
+      }
+      if (!fields[field].multiEntry && arrayFields.includes(field)) continue;
+      const condition = QueryPlanner.planCondition(query[field], KeyRange);
+      if (!condition) continue;
+
+      const { index, multiEntry } = fields[field];
+      const type = !index && condition.type === "eq" ? "primary" : condition.type;
+      if (condition.empty) {
+        return { source: store, field, range: null, empty: true, exact: true };
+      }
+      conditions[field] = condition;
+      if (!best || PLAN_COST[type] < PLAN_COST[best.type]) {
+        best = {
+          type,
+          source: index || store,
+          field,
+          range: condition.range || null,
+          keys: condition.keys || null,
+          multiEntry,
+          exact: condition.exact && !multiEntry && queryFields.length === 1,
+        };
+      }
+    }
+
+    // Un índice compuesto sirve cuando la consulta fija por igualdad todos sus campos
+    for (const [name, { index, compound }] of Object.entries(fields)) {
+      if (!compound || compound.some((field) => arrayFields.includes(field))) continue;
+      const values = compound.map((field) => query?.[field]);
+      if (!values.every(QueryPlanner.isValidKey)) continue;
+      const condition = {
+        type: "eq",
+        range: KeyRange.only(values),
+        exact: queryFields.length === compound.length,
+      };
+      conditions[name] = condition;
+      if (!best || (best.type !== "primary" && PLAN_COST.eq <= PLAN_COST[best.type])) {
+        best = {
+          type: "eq",
+          source: index,
+          field: name,
+          range: condition.range,
+          keys: null,
+          multiEntry: false,
+          exact: condition.exact,
+        };
+      }
+    }
+
+    // `options.field` fija la fuente (p. ej. para reanudar un cursor por lotes)
+    const orderBy = options.orderBy;
+    const forced = options.field && fields[options.field] ? options.field : null;
+    const target =
+      forced ||
+      (orderBy &&
+      fields[orderBy] &&
+      !fields[orderBy].multiEntry &&
+      (!best || best.field === orderBy || options.preferOrder)
+        ? orderBy
+        : null);
+    if (target) {
+      const condition = conditions[target];
+      const { index, multiEntry } = fields[target];
+      return {
+        type: condition ? condition.type : "order",
+        source: index || store,
+        field: target,
+        range: condition ? condition.range || null : null,
+        keys: condition ? condition.keys || null : null,
+        multiEntry,
+        exact: condition
+          ? condition.exact && !multiEntry && queryFields.length === 1
+          : !query,
+        ordered: target === orderBy && !multiEntry,
+        // Un índice secundario sin condición omite los registros sin ese campo
+        needsCoverage: !forced && !!index && !condition,
+      };
+    }
+
+    return (
+      best || {
+        source: store,
+        field: null,
+        range: null,
+        exact: !query,
+      }
+    );
+  }
+
+  // Resuelve el plan comprobando, si hace falta, que el índice de orden cubra todo el store
+  static resolvePlan(store, query, options = {}) {
+    const plan = QueryPlanner.plan(store, query, options);
+    if (!plan.needsCoverage) return Promise.resolve(plan);
+
+    const countOf = (source) =>
+      new Promise((resolve, reject) => {
+        const request = source.count();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+
+    return Promise.all([countOf(plan.source), countOf(store)]).then(
+      ([indexed, total]) =>
+        indexed === total
+          ? plan
+          : QueryPlanner.plan(store, query, { ...options, orderBy: null })
+    );
+  }
+
+  /**
+   * Recorre los registros que cumplen la consulta usando el plan elegido.
+   * `filter(value)` evalúa el predicado completo; `callback(value, cursor, plan)`
+   * puede devolver false para detener el recorrido. `options.direction` ("next" o
+   * "prev") solo tiene efecto sobre el orden del índice recorrido. Con
+   * `options.after = { key, primaryKey }` el recorrido continúa justo después de esa
+   * posición, y `options.seen` comparte los registros ya vistos entre recorridos.
+   */
+  static iterate(store, query, filter, callback, options = {}) {
+    const reverse = options.direction === "prev";
+    const step = reverse ? -1 : 1;
+    let after = options.after || null;
+
+    return QueryPlanner.resolvePlan(store, query, options).then(
+      (plan) =>
+        new Promise((resolve, reject) => {
+          if (plan.empty) return resolve(plan);
+
+          const keys = plan.keys;
+          const seen = plan.multiEntry ? options.seen || new Set() : null;
+          let position = reverse && keys ? keys.length - 1 : 0;
+          let range = keys
+            ? keyRange(options).bound(keys[0], keys[keys.length - 1])
+            : plan.range;
+          if (after) {
+            range = QueryPlanner.narrowRange(range, after.key, reverse, keyRange(options));
+          }
+          const request = plan.source.openCursor(
+            range,
+            reverse ? "prev" : "next"
+          );
+
+          const visit = (cursor) => {
+            if (!cursor) return resolve(plan);
+
+            // Saltamos los registros ya entregados con la misma clave
+            if (after) {
+              if (
+                compare(cursor.key, after.key) === 0 &&
+                compare(cursor.primaryKey, after.primaryKey) * step <= 0
+              ) {
+                if (
+                  plan.source !== store &&
+                  compare(cursor.primaryKey, after.primaryKey) !== 0
+                ) {
+                  return cursor.continuePrimaryKey(after.key, after.primaryKey);
+                }
+                return cursor.continue();
+              }
+              after = null;
+            }
+
+            // Con $in saltamos directamente a la siguiente clave buscada
+            if (keys) {
+              while (
+                position >= 0 &&
+                position < keys.length &&
+                compare(cursor.key, keys[position]) * step > 0
+              ) {
+                position += step;
+              }
+              if (position < 0 || position >= keys.length) return resolve(plan);
+              if (compare(cursor.key, keys[position]) !== 0) {
+                return cursor.continue(keys[position]);
+              }
+            }
+
+            if (seen) {
+              if (seen.has(cursor.primaryKey)) return cursor.continue();
+              seen.add(cursor.primaryKey);
+            }
+
+            if (!query || filter(cursor.value)) {
+              if (callback(cursor.value, cursor, plan) === false) {
+                return resolve(plan);
+              }
+            }
+            cursor.continue();
+          };
+
+          // Un error del filtro o del callback rechaza el recorrido
+          request.onsuccess = (event) => {
+            try {
+              visit(event.target.result);
+            } catch (error) {
+              reject(error);
+            }
+          };
+          request.onerror = () => reject(request.error);
+        })
+    );
+  }
+
+  // Restringe un rango para que empiece (o termine, en orden inverso) en la clave dada
+  static narrowRange(range, key, reverse = false, KeyRange = globalThis.IDBKeyRange) {
+    if (!reverse) {
+      return range && range.upper !== undefined
+        ? KeyRange.bound(key, range.upper, false, range.upperOpen)
+        : KeyRange.lowerBound(key);
+    }
+    return range && range.lower !== undefined
+      ? KeyRange.bound(range.lower, key, range.lowerOpen, false)
+      : KeyRange.upperBound(key);
+  }
+
+  // Cuenta los registros de la consulta, usando count() del índice cuando el plan es exacto
+  static count(store, query, filter, options = {}) {
+    const plan = QueryPlanner.plan(store, query, options);
+    if (plan.empty) return Promise.resolve(0);
+    if (plan.exact && !plan.keys) {
+      return new Promise((resolve, reject) => {
+        const request = plan.source.count(plan.range || undefined);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    let total = 0;
+    return QueryPlanner.iterate(
+      store,
+      query,
+      filter,
+      () => {
+        total++;
+      },
+      options
+    ).then(() => total);
+  }
+}
+
+export { QueryPlanner };
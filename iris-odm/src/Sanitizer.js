@@ -0,0 +1,227 @@
+/**
+ * @file Sanitizer class: applies schema defaults, setters, built-in sanitizers (trim, lowercase,
+ * uppercase) and the `strict` mode to written data, and getters to documents that are read
+ */
+
+import { Schema } from "./Schema.js";
+import { Validator } from "./Validator.js";
+import { ValidationError } from "./Errors.js";
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+// Operadores de actualización que escriben en las rutas que nombran ($pull solo quita)
+const WRITE_OPERATORS = [
+  "$set", "$unset", "$inc", "$mul", "$min", "$max", "$push", "$addToSet", "$rename",
+];
+
+class Sanitizer {
+  /**
+   * Prepara los datos que se van a escribir. Con `defaults` (documentos nuevos) rellena los
+   * campos que faltan; si no, solo transforma los campos presentes (actualizaciones
+   * parciales). Los campos que no están en el esquema se eliminan (strict: true), se
+   * conservan (strict: false) o provocan un ValidationError (strict: 'throw').
+   */
+  static write(schema, data, { defaults = false } = {}) {
+    const errors = [];
+    const result = Sanitizer.document(schema, data, defaults, "", errors);
+    if (errors.length > 0) throw new ValidationError(errors);
+    return result;
+  }
+
+  /**
+   * Aplica el esquema a los operadores que escriben: cada ruta (el destino en $rename) pasa
+   * por el modo `strict`, y los valores de $set, $min, $max y los elementos que añaden $push
+   * y $addToSet pasan por los setters y sanitizadores del campo
+   */
+  static operators(schema, update) {
+    const errors = [];
+    const result = {};
+    for (const [operator, fields] of Object.entries(update)) {
+      if (!WRITE_OPERATORS.includes(operator) || !fields || typeof fields !== "object") {
+        result[operator] = fields;
+        continue;
+      }
+      const entries = Object.entries(
+        operator === "$set" ? Sanitizer.writeVirtuals(schema, fields) : fields
+      );
+      result[operator] = {};
+      for (const [path, operand] of entries) {
+        const target = operator === "$rename" ? operand : path;
+        // Un destino de $rename que no es una ruta lo rechaza el Updater
+        const rules = typeof target === "string" ? Sanitizer.resolve(schema, target) : {};
+        if (rules) {
+          result[operator][path] = Sanitizer.operand(operator, rules, operand, target, errors);
+        } else if (!Sanitizer.unknown(schema, target, operand, errors)) {
+          result[operator][path] = operand;
+        }
+      }
+    }
+    if (errors.length > 0) throw new ValidationError(errors);
+    return result;
+  }
+
+  static operand(operator, rules, operand, path, errors) {
+    switch (operator) {
+      case "$set":
+      case "$min":
+      case "$max":
+        return Sanitizer.value(rules, operand, path, errors);
+      case "$push":
+      case "$addToSet": {
+        const type = Validator.resolveType(rules.type);
+        if (!Array.isArray(type) || type.length === 0) return operand;
+        const element = Validator.field(type[0]);
+        const each = operand && typeof operand === "object" && Array.isArray(operand.$each);
+        const values = (each ? operand.$each : [operand]).map((item) =>
+          Sanitizer.value(element, item, path, errors)
+        );
+        return each ? { ...operand, $each: values } : values[0];
+      }
+      default:
+        return operand;
+    }
+  }
+
+  /**
+   * Aplica los getters del esquema a un documento leído y calcula sus virtuales con los
+   * valores ya transformados. Devuelve una copia si hay alguno.
+   */
+  static read(schema, document) {
+    if (!document || !Sanitizer.hasGetters(schema)) return document;
+    const result = { ...document };
+    for (const [field, definition] of Object.entries(schema.definition)) {
+      if (hasOwn(result, field)) {
+        result[field] = Sanitizer.readValue(Validator.field(definition), result[field]);
+      }
+    }
+    for (const virtual of Object.values(schema.virtuals)) {
+      if (virtual.getter) result[virtual.name] = virtual.getter.call(result, result);
+    }
+    return result;
+  }
+
+  // Los virtuales no se guardan: se quitan de los datos y su setter asigna los campos reales
+  static writeVirtuals(schema, data) {
+    const names = Object.keys(data).filter((key) => hasOwn(schema.virtuals, key));
+    if (names.length === 0) return data;
+    const target = { ...data };
+    for (const name of names) {
+      const value = target[name];
+      delete target[name];
+      const { setter } = schema.virtuals[name];
+      if (setter) setter.call(target, value, target);
+    }
+    return target;
+  }
+
+  static hasGetters(schema) {
+    if (Object.values(schema.virtuals).some((virtual) => virtual.getter)) return true;
+    return Object.values(schema.definition).some((definition) => {
+      const rules = Validator.field(definition);
+      if (typeof rules.get === "function") return true;
+      const type = Validator.resolveType(rules.type);
+      const element =
+        Array.isArray(type) && type.length > 0
+          ? Validator.resolveType(Validator.field(type[0]).type)
+          : type;
+      return element instanceof Schema && Sanitizer.hasGetters(element);
+    });
+  }
+
+  static document(schema, data, defaults, prefix, errors) {
+    data = Sanitizer.writeVirtuals(schema, data);
+    const result = {};
+    for (const [field, value] of Object.entries(data)) {
+      if (schema.definition[field]) continue;
+      if (!Sanitizer.unknown(schema, prefix + field, value, errors)) {
+        result[field] = value;
+      }
+    }
+    for (const [field, definition] of Object.entries(schema.definition)) {
+      const rules = Validator.field(definition);
+      let value = data[field];
+      if (value === undefined && defaults && rules.default !== undefined) {
+        value = Sanitizer.defaultValue(rules.default);
+      } else if (!hasOwn(data, field)) {
+        continue;
+      }
+      result[field] = Sanitizer.value(rules, value, prefix + field, errors);
+    }
+    return result;
+  }
+
+  // Un sub-documento o un elemento de array es un valor completo: recibe sus valores por defecto
+  static value(rules, value, path, errors) {
+    if (value === null || value === undefined) return value;
+    const type = Validator.resolveType(rules.type);
+    if (type instanceof Schema && Validator.isType(value, type)) {
+      value = Sanitizer.document(type, value, true, `${path}.`, errors);
+    } else if (Array.isArray(type) && type.length > 0 && Array.isArray(value)) {
+      const element = Validator.field(type[0]);
+      value = value.map((item, index) =>
+        Sanitizer.value(element, item, `${path}.${index}`, errors)
+      );
+    }
+    if (typeof value === "string") {
+      if (rules.trim) value = value.trim();
+      if (rules.lowercase) value = value.toLowerCase();
+      if (rules.uppercase) value = value.toUpperCase();
+    }
+    return typeof rules.set === "function" ? rules.set(value) : value;
+  }
+
+  static readValue(rules, value) {
+    if (value !== null && value !== undefined) {
+      const type = Validator.resolveType(rules.type);
+      if (type instanceof Schema && Validator.isType(value, type)) {
+        value = Sanitizer.read(type, value);
+      } else if (Array.isArray(type) && type.length > 0 && Array.isArray(value)) {
+        const element = Validator.field(type[0]);
+        value = value.map((item) => Sanitizer.readValue(element, item));
+      }
+    }
+    return typeof rules.get === "function" ? rules.get(value) : value;
+  }
+
+  // Un valor por defecto puede ser una función; los objetos se copian para no compartirlos
+  static defaultValue(value) {
+    if (typeof value === "function") return value();
+    return value !== null && typeof value === "object" ? structuredClone(value) : value;
+  }
+
+  // Devuelve true si el campo desconocido debe descartarse
+  static unknown(schema, path, value, errors) {
+    const strict = schema.options.strict;
+    if (strict === false) return false;
+    if (strict === "throw") {
+      errors.push({
+        path,
+        kind: "strict",
+        value,
+        message: `Field '${path}' is not in the schema`,
+      });
+    }
+    return true;
+  }
+
+  /**
+   * Reglas del campo de una ruta con puntos ('address.city', 'items.0.qty'). Devuelve null
+   * si la ruta no existe en el esquema y {} si entra en un campo sin esquema (Object).
+   */
+  static resolve(schema, path) {
+    const [field, ...rest] = path.split(".");
+    if (!schema.definition[field]) return null;
+    let rules = Validator.field(schema.definition[field]);
+    let segments = rest;
+
+    let type = Validator.resolveType(rules.type);
+    if (segments.length > 0 && Array.isArray(type) && /^\d+$/.test(segments[0])) {
+      rules = type.length > 0 ? Validator.field(type[0]) : {};
+      segments = segments.slice(1);
+      type = Validator.resolveType(rules.type);
+    }
+    if (segments.length === 0) return rules;
+    return type instanceof Schema ? Sanitizer.resolve(type, segments.join(".")) : {};
+  }
+}
+
+export { Sanitizer };
@@ -2,48 +2,172 @@
  * @file Schema class for defining the structure of a document
  */
 
+import { Validator } from './Validator.js';
+
+// Operaciones del modelo que admiten middleware pre/post
+const HOOK_OPERATIONS = ['save', 'update', 'delete', 'find'];
+// Qué hacer con los campos que no están en el esquema: descartarlos, guardarlos o lanzar un error
+const STRICT_MODES = [true, false, 'throw'];
+
 class Schema {
-  constructor(definition) {
+  constructor(definition, options = {}) {
+    if (options.strict !== undefined && !STRICT_MODES.includes(options.strict)) {
+      throw new Error(`Invalid strict option '${options.strict}'. Expected true, false or 'throw'`);
+    }
     this.definition = definition;
+    this.options = { strict: true, ...options };
+    this.timestamps = Schema.timestampFields(options.timestamps);
+    this.versionKey = Schema.versionKeyField(options.versionKey);
     this.indexes = [];
+    this.hooks = { pre: [], post: [] };
+    this.virtuals = {};
+    // Los campos de timestamps se declaran e indexan para las consultas por rango de fechas
+    if (this.timestamps) {
+      for (const field of Object.values(this.timestamps).filter(Boolean)) {
+        if (!this.definition[field]) this.definition[field] = { type: Date };
+        this.addIndex(field);
+      }
+    }
+    if (this.versionKey && !this.definition[this.versionKey]) {
+      this.definition[this.versionKey] = { type: Number };
+    }
+    // `expires: segundos` en un campo Date crea su índice TTL
+    for (const [field, rules] of Object.entries(this.definition)) {
+      if (rules && rules.expires !== undefined) {
+        this.addIndex(field, { expireAfterSeconds: rules.expires });
+      }
+    }
+  }
+  /**
+   * `timestamps: true` usa createdAt y updatedAt; también admite nombres propios o false
+   * para desactivar uno: { createdAt: 'created', updatedAt: false }
+   */
+  static timestampFields(option) {
+    if (!option) return null;
+    const names = option === true ? {} : option;
+    const field = (name, fallback) => (name === undefined || name === true ? fallback : name || null);
+    const fields = {
+      createdAt: field(names.createdAt, 'createdAt'),
+      updatedAt: field(names.updatedAt, 'updatedAt'),
+    };
+    return fields.createdAt || fields.updatedAt ? fields : null;
+  }
+  // `versionKey: true` guarda la versión del documento en __v; un texto cambia el nombre
+  static versionKeyField(option) {
+    if (!option) return null;
+    if (option === true) return '__v';
+    if (typeof option === 'string') return option;
+    throw new Error(`Invalid versionKey option '${option}'. Expected true or a field name`);
+  }
+  /**
+   * Campo calculado que no se guarda: schema.virtual('fullName').get(fn).set(fn).
+   * `get` se llama con el documento leído como `this`; `set` recibe el valor escrito y
+   * asigna los campos reales del documento (`this`).
+   */
+  virtual(name) {
+    if (this.definition[name]) {
+      throw new Error(`Virtual '${name}' conflicts with a schema field`);
+    }
+    if (!this.virtuals[name]) {
+      const virtual = {
+        name,
+        getter: null,
+        setter: null,
+        get(fn) {
+          virtual.getter = fn;
+          return virtual;
+        },
+        set(fn) {
+          virtual.setter = fn;
+          return virtual;
+        },
+      };
+      this.virtuals[name] = virtual;
+    }
+    return this.virtuals[name];
+  }
+  // Middleware que se ejecuta antes de una operación: fn(ctx); puede modificar ctx o lanzar para abortar
+  pre(operation, fn) {
+    return this._addHook('pre', operation, fn);
+  }
+  // Middleware que se ejecuta después de una operación: fn(result, ctx)
+  post(operation, fn) {
+    return this._addHook('post', operation, fn);
+  }
+  _addHook(stage, operation, fn) {
+    const operations = Array.isArray(operation) ? operation : [operation];
+    for (const name of operations) {
+      if (!HOOK_OPERATIONS.includes(name)) {
+        throw new Error(`Unknown hook operation '${name}'. Expected one of: ${HOOK_OPERATIONS.join(', ')}`);
+      }
+      if (typeof fn !== 'function') throw new Error(`Hook for '${name}' must be a function`);
+      this.hooks[stage].push({ operation: name, fn });
+    }
+    return this;
+  }
+  hasHooks(stage, operation) {
+    return this.hooks[stage].some(hook => hook.operation === operation);
   }
-  // Método para añadir un índice
+  // Ejecuta en orden (y esperando a cada uno) los hooks de una operación
+  async runHooks(stage, operation, ...args) {
+    const context = args[args.length - 1];
+    for (const hook of this.hooks[stage]) {
+      if (hook.operation === operation) await hook.fn.apply(context, args);
+    }
+  }
+  // Método para añadir un índice: un campo o un array de campos (índice compuesto)
   addIndex(field, options = {}) {
-    this.indexes.push({ field, ...options });
+    if (Array.isArray(field)) {
+      if (field.length === 0) throw new Error('A compound index needs at least one field');
+      if (options.multiEntry) {
+        throw new Error('multiEntry indexes cannot use a compound key path');
+      }
+      if (options.expireAfterSeconds !== undefined) {
+        throw new Error('TTL indexes cannot use a compound key path');
+      }
+    }
+    if (
+      options.expireAfterSeconds !== undefined &&
+      !(typeof options.expireAfterSeconds === 'number' && options.expireAfterSeconds >= 0)
+    ) {
+      throw new Error(`expireAfterSeconds must be a number of seconds >= 0 for index '${field}'`);
+    }
+    const index = { field, ...options };
+    this.removeIndex(Schema.indexName(index));
+    this.indexes.push(index);
     return this;
   }
-  // Método para eliminar un índice
+  // Método para eliminar un índice (por campo o por nombre)
   removeIndex(field) {
-    this.indexes = this.indexes.filter(index => index.field !== field);
+    const name = Array.isArray(field) ? field.join('_') : field;
+    this.indexes = this.indexes.filter(index => Schema.indexName(index) !== name);
     return this;
   }
-  // Método síncrono para validar un objeto
+  /**
+   * Índices TTL: un documento caduca cuando la fecha de su campo más `expireAfterSeconds`
+   * ya ha pasado. Con 0, el campo guarda directamente la fecha de caducidad (expiresAt).
+   */
+  get ttlIndexes() {
+    return this.indexes.filter(index => index.expireAfterSeconds !== undefined);
+  }
+  // Nombre del índice en IndexedDB: options.name, el campo o los campos unidos con "_"
+  static indexName(index) {
+    if (index.name) return index.name;
+    return Array.isArray(index.field) ? index.field.join('_') : index.field;
+  }
+  // Método síncrono para validar un objeto (los validadores asíncronos cuentan como error)
   validate(data) {
-    for (const field in this.definition) {
-      const value = data[field];
-      const type = this.definition[field].type;
-
-      if (value && type && typeof value !== type) {
-        throw new Error(`Invalid type for field ${field}. Expected ${type}, got ${typeof value}`);
-      }
-    }
+    Validator.assert(Validator.validateSync(this.definition, data));
     return true;
   }
   // Método asíncrono para validar un objeto
   async validateAsync(data) {
-    for (const field in this.definition) {
-      const value = data[field];
-      const type = this.definition[field].type;
-
-      if (value && type && typeof value !== type) {
-        throw new Error(`Invalid type for field ${field}. Expected ${type}, got ${typeof value}`);
-      }
-    }
+    Validator.assert(await Validator.validateAsync(this.definition, data));
     return true;
   }
   // Método estático para crear un esquema a partir de un objeto
-  static fromObject(definition) {
-    return new Schema(definition);
+  static fromObject(definition, options) {
+    return new Schema(definition, options);
   }
   // Método estático para crear un esquema a partir de un array
   static fromArray(definition) {
@@ -0,0 +1,94 @@
+/**
+ * @file StorageAdapter class: base of the storage backends a Model can use. An adapter exposes
+ * the IndexedDB factory API (open, deleteDatabase, databases, cmp) plus a `KeyRange` class, and
+ * the databases it opens behave like IDBDatabase (transactions, stores, indexes and cursors)
+ */
+
+// Orden de los tipos de clave en IndexedDB: números < fechas < strings < binarios < arrays
+const KEY_TYPES = { number: 1, date: 2, string: 3, binary: 4, array: 5 };
+
+const keyType = (value) => {
+  if (typeof value === "number") return KEY_TYPES.number;
+  if (value instanceof Date) return KEY_TYPES.date;
+  if (typeof value === "string") return KEY_TYPES.string;
+  if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) return KEY_TYPES.binary;
+  if (Array.isArray(value)) return KEY_TYPES.array;
+  return 0;
+};
+
+const bytes = (value) =>
+  value instanceof ArrayBuffer
+    ? new Uint8Array(value)
+    : new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+
+class StorageAdapter {
+  // Devuelve una petición con onsuccess/onerror/onupgradeneeded, como indexedDB.open
+  open(name, version) {
+    throw new Error(`${this.constructor.name} does not implement open()`);
+  }
+
+  deleteDatabase(name) {
+    throw new Error(`${this.constructor.name} does not implement deleteDatabase()`);
+  }
+
+  // Promesa con la lista [{ name, version }] de bases de datos
+  databases() {
+    throw new Error(`${this.constructor.name} does not implement databases()`);
+  }
+
+  // Clase con only, bound, lowerBound y upperBound, como IDBKeyRange
+  get KeyRange() {
+    throw new Error(`${this.constructor.name} does not implement KeyRange`);
+  }
+
+  cmp(a, b) {
+    return StorageAdapter.compareKeys(a, b);
+  }
+
+  // Comprueba si un valor es una clave de IndexedDB (incluidos binarios y arrays de claves)
+  static isValidKey(value) {
+    switch (keyType(value)) {
+      case KEY_TYPES.number:
+        return !isNaN(value);
+      case KEY_TYPES.date:
+        return !isNaN(value.getTime());
+      case KEY_TYPES.string:
+      case KEY_TYPES.binary:
+        return true;
+      case KEY_TYPES.array:
+        return value.every(StorageAdapter.isValidKey);
+      default:
+        return false;
+    }
+  }
+
+  // Compara dos claves válidas con el mismo resultado que indexedDB.cmp (-1, 0 o 1)
+  static compareKeys(a, b) {
+    const typeA = keyType(a);
+    const typeB = keyType(b);
+    if (typeA !== typeB) return typeA < typeB ? -1 : 1;
+
+    if (typeA === KEY_TYPES.array) {
+      const length = Math.min(a.length, b.length);
+      for (let i = 0; i < length; i++) {
+        const diff = StorageAdapter.compareKeys(a[i], b[i]);
+        if (diff !== 0) return diff;
+      }
+      return a.length === b.length ? 0 : a.length < b.length ? -1 : 1;
+    }
+    if (typeA === KEY_TYPES.binary) {
+      const left = bytes(a);
+      const right = bytes(b);
+      const length = Math.min(left.length, right.length);
+      for (let i = 0; i < length; i++) {
+        if (left[i] !== right[i]) return left[i] < right[i] ? -1 : 1;
+      }
+      return left.length === right.length ? 0 : left.length < right.length ? -1 : 1;
+    }
+    const left = typeA === KEY_TYPES.date ? a.getTime() : a;
+    const right = typeA === KEY_TYPES.date ? b.getTime() : b;
+    return left === right ? 0 : left < right ? -1 : 1;
+  }
+}
+
+export { StorageAdapter };
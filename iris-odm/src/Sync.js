@@ -1,11 +1,16 @@
 // Sync Module for Iris ORM
 
+import { Updater } from "./Updater.js";
+import { IrisUtils } from "./IrisUtils.js";
+import { QuotaError, SyncError } from "./Errors.js";
+
 class SyncManager {
   constructor(model, options = {}) {
     this.model = model;
     this.syncUrl = options.syncUrl;
     this.idField = options.idField || "_id";
-    this.timestampField = options.timestampField || "updatedAt";
+    this.timestampField =
+      options.timestampField || model.schema?.timestamps?.updatedAt || "updatedAt";
     // Añadimos la configuración de espacio mínimo requerido
     this.minRequiredSpace = options.minRequiredSpace || 50 * 1024 * 1024; // 50MB por defecto
     this.syncStatusField = options?.syncStatus || "_syncStatus";
@@ -34,21 +39,56 @@ class SyncManager {
     Object.assign(this.model.schema.definition, syncFields);
   }
 
-  // Pull changes from server
-  async pullFromServer(lastSyncTimestamp = null) {
+  // Send a request to the sync server; network, HTTP and payload failures become SyncError
+  async request(method, body) {
+    let response;
     try {
-      const response = await fetch(this.syncUrl, {
-        method: 'POST',
+      response = await fetch(this.syncUrl, {
+        method,
         headers: {
-          'Content-Type': 'application/json'
+          "Content-Type": "application/json",
         },
-        body: JSON.stringify({
-          lastSync: lastSyncTimestamp,
-          batchSize: this.batchSize
-        })
+        body: JSON.stringify(body),
+      });
+    } catch (error) {
+      throw new SyncError(`Cannot reach sync server: ${error.message}`, { cause: error });
+    }
+    if (!response.ok) {
+      throw new SyncError(`Sync server responded with status ${response.status}`, {
+        status: response.status,
       });
+    }
+    try {
+      return await response.json();
+    } catch (error) {
+      throw new SyncError("Sync server returned an invalid response", {
+        status: response.status,
+        cause: error,
+      });
+    }
+  }
 
-      const serverData = await response.json();
+  // Make sure there is room for the pulled records (skipped if the Storage API is unavailable)
+  async ensureSpace() {
+    const quota = await IrisUtils.checkStorageQuota().catch(() => null);
+    if (quota && quota.available < this.minRequiredSpace) {
+      throw new QuotaError(
+        `Not enough storage to sync: ${quota.formattedAvailable} available`
+      );
+    }
+  }
+
+  // Pull changes from server
+  async pullFromServer(lastSyncTimestamp = null) {
+    try {
+      await this.ensureSpace();
+      const serverData = await this.request("POST", {
+        lastSync: lastSyncTimestamp,
+        batchSize: this.batchSize,
+      });
+      if (!Array.isArray(serverData?.items)) {
+        throw new SyncError("Sync server response has no 'items' list");
+      }
       // Datos de prueba sin conexión a una API real
       /* const serverData = {
         items: [
@@ -68,9 +108,10 @@ class SyncManager {
       }; */
 
       for (const item of serverData.items) {
-        const localItem = await this.model.find({
-          [this.serverIdField]: item[this.idField],
-        });
+        const localItem = await this.model.find(
+          { [this.serverIdField]: item[this.idField] },
+          { withDeleted: true }
+        );
         if (!localItem || localItem.length === 0) {
           // New item from server
           await this.model.create({
@@ -94,6 +135,7 @@ class SyncManager {
       return {
         success: false,
         error: error.message,
+        code: error.code,
       };
     }
   }
@@ -101,10 +143,11 @@ class SyncManager {
   // Push local changes to server
   async pushToServer() {
     try {
-      // Get all modified local items
-      const modifiedItems = await this.model.find({
-        [this.syncStatusField]: "modified",
-      });
+      // Get all modified local items (soft-deleted ones carry their deletion to the server)
+      const modifiedItems = await this.model.find(
+        { [this.syncStatusField]: "modified" },
+        { withDeleted: true }
+      );
 
       const changeset = modifiedItems.map((item) => ({
         id: item[this.serverIdField],
@@ -112,15 +155,10 @@ class SyncManager {
         localId: item[this.idField],
       }));
 
-      const response = await fetch(`${this.syncUrl}`, {
-        method: "PUT",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({ changes: changeset }),
-      });
-
-      const result = await response.json();
+      const result = await this.request("PUT", { changes: changeset });
+      if (!Array.isArray(result?.synchronized)) {
+        throw new SyncError("Sync server response has no 'synchronized' list");
+      }
       // Datos de prueba sin conexión a una API real
       /* const result = {
         synchronized: [
@@ -156,6 +194,7 @@ class SyncManager {
       return {
         success: false,
         error: error.message,
+        code: error.code,
       };
     }
   }
@@ -179,6 +218,7 @@ class SyncManager {
       return {
         success: false,
         error: error.message,
+        code: error.code,
       };
     }
   }
@@ -214,34 +254,16 @@ class SyncManager {
   }
 
   // Get the timestamp of the last successful sync
-  /* async getLastSyncTimestamp() {
+  async getLastSyncTimestamp() {
     const lastSyncedItem = await this.model
-      .find({
-        [this.syncStatusField]: "synced",
-      })
+      .find(
+        { [this.syncStatusField]: "synced" },
+        { withDeleted: true }
+      )
       .sort({ [this.lastSyncField]: -1 })
       .limit(1);
 
     return lastSyncedItem?.[0]?.[this.lastSyncField] || null;
-  } */
-  async getLastSyncTimestamp() {
-    const lastSyncedItems = await this.model.find({
-      [this.syncStatusField]: "synced",
-    }).then(async (result) => {
-      return await this.model.sort({
-        fields: result,
-        keyField: { name: this.lastSyncField, type: "date" },
-        order: "desc",
-      });
-    }).then(async (result) => {
-      return await this.model.limit({ fields: result, limit: 1 });
-    }).catch((error) => {
-      console.error("Error al obtener el último timestamp de sincronización:", error);
-    });    
-    // Devolver el último timestamp, o null si no hay resultados
-    return lastSyncedItems.length > 0
-      ? lastSyncedItems[0][this.lastSyncField]
-      : null;
   }
 
   // Prepare an item for syncing (remove local-only fields)
@@ -261,13 +283,16 @@ class SyncManager {
     const originalCreate = this.model.create.bind(this.model);
 
     // Override update method
-    this.model.update = async (data, id) => {
-      const syncData = {
-        ...data,
+    this.model.update = async (data, id, options) => {
+      const syncFields = {
         [this.syncStatusField]: "modified",
         _localUpdatedAt: new Date(),
       };
-      return originalUpdate(syncData, id);
+      // Update documents with operators carry the sync fields inside $set
+      const syncData = Updater.isOperatorUpdate(data)
+        ? { ...data, $set: { ...data.$set, ...syncFields } }
+        : { ...data, ...syncFields };
+      return originalUpdate(syncData, id, options);
     };
 
     // Override create method
@@ -279,6 +304,19 @@ class SyncManager {
       };
       return originalCreate(syncData);
     };
+
+    // With softDelete a deletion is a local change that must be pushed too
+    if (this.model.softDelete) {
+      const originalDelete = this.model.delete.bind(this.model);
+      this.model.delete = async (id) => {
+        const deletedId = await originalDelete(id);
+        await originalUpdate(
+          { [this.syncStatusField]: "modified", _localUpdatedAt: new Date() },
+          deletedId
+        );
+        return deletedId;
+      };
+    }
   }
 
   // Setup automatic periodic sync
@@ -0,0 +1,262 @@
+/**
+ * @file TextIndex class: tokenizes the schema's `text` fields and keeps an inverted index in a
+ * companion object store per collection, used by the `$text` query operator
+ */
+
+import { Validator } from "./Validator.js";
+import { Matcher } from "./Matcher.js";
+
+const STORE_SUFFIX = "__text";
+
+// Listas breves de palabras vacías para `stopwords: 'es' | 'en'`
+const STOPWORDS = {
+  es: [
+    "a", "al", "como", "con", "de", "del", "el", "en", "es", "esta", "este", "la",
+    "las", "lo", "los", "mas", "o", "para", "pero", "por", "que", "se", "sin", "su",
+    "sus", "un", "una", "unas", "unos", "y",
+  ],
+  en: [
+    "a", "an", "and", "are", "as", "at", "be", "by", "for", "from", "in", "is", "it",
+    "of", "on", "or", "that", "the", "this", "to", "was", "with",
+  ],
+};
+
+// Lematizadores ligeros para `stemmer: 'es' | 'en'`: solo quitan plurales y sufijos frecuentes
+const STEMMERS = {
+  en: (token) => {
+    if (token.length <= 3) return token;
+    if (token.endsWith("ies")) return `${token.slice(0, -3)}y`;
+    if (token.endsWith("sses")) return token.slice(0, -2);
+    // running -> run, stopped -> stop
+    const undouble = (stem) => (/([^aeiouls])\1$/.test(stem) ? stem.slice(0, -1) : stem);
+    if (token.endsWith("ing") && token.length > 5) return undouble(token.slice(0, -3));
+    if (token.endsWith("ed") && token.length > 4) return undouble(token.slice(0, -2));
+    if (token.endsWith("s") && !token.endsWith("ss")) return token.slice(0, -1);
+    return token;
+  },
+  es: (token) => {
+    if (token.length <= 3) return token;
+    if (token.endsWith("mente") && token.length > 7) token = token.slice(0, -5);
+    if (token.endsWith("ces")) token = `${token.slice(0, -3)}z`;
+    else if (token.endsWith("es") && token.length > 4) token = token.slice(0, -2);
+    else if (token.endsWith("s")) token = token.slice(0, -1);
+    return token.length > 4 && /[aeo]$/.test(token) ? token.slice(0, -1) : token;
+  },
+};
+
+// Convierte una petición de IndexedDB en promesa
+const request = (idbRequest) =>
+  new Promise((resolve, reject) => {
+    idbRequest.onsuccess = () => resolve(idbRequest.result);
+    idbRequest.onerror = () => reject(idbRequest.error);
+  });
+
+class TextIndex {
+  static storeName(collection) {
+    return `${collection}${STORE_SUFFIX}`;
+  }
+
+  static isStore(name) {
+    return name.endsWith(STORE_SUFFIX);
+  }
+
+  /**
+   * Campos del esquema con `text: true` o `text: { weight, stopwords, stemmer }`.
+   * `stopwords` admite 'es', 'en' o un array; `stemmer`, 'es', 'en' o una función.
+   */
+  static fields(schema) {
+    const fields = [];
+    for (const [field, definition] of Object.entries(schema.definition)) {
+      const rules = Validator.field(definition);
+      if (!rules.text) continue;
+      const options = rules.text === true ? {} : rules.text;
+      const stopwords =
+        typeof options.stopwords === "string"
+          ? STOPWORDS[options.stopwords]
+          : options.stopwords || [];
+      const stemmer =
+        typeof options.stemmer === "string"
+          ? STEMMERS[options.stemmer]
+          : options.stemmer || null;
+      if (!stopwords || stemmer === undefined) {
+        throw new Error(`Unknown text language for field '${field}'. Expected 'es' or 'en'`);
+      }
+      fields.push({
+        field,
+        weight: options.weight ?? 1,
+        stopwords: new Set(stopwords.map((word) => TextIndex.fold(word))),
+        stemmer,
+      });
+    }
+    return fields;
+  }
+
+  // Minúsculas y sin acentos: "Canción" -> "cancion"
+  static fold(text) {
+    return text.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+  }
+
+  // Separa un texto (o un array de textos) en palabras normalizadas
+  static tokenize(value, { stopwords = new Set(), stemmer = null } = {}) {
+    const texts = (Array.isArray(value) ? value : [value]).filter(
+      (text) => typeof text === "string"
+    );
+    const tokens = [];
+    for (const text of texts) {
+      for (const word of TextIndex.fold(text).split(/[^\p{L}\p{N}]+/u)) {
+        if (!word || stopwords.has(word)) continue;
+        const token = stemmer ? stemmer(word) : word;
+        if (token) tokens.push(token);
+      }
+    }
+    return tokens;
+  }
+
+  // Entrada de un documento: { key, tokens: { campo: [token] }, counts: { campo: Map(token -> n) } }
+  static entry(key, document, fields) {
+    const tokens = {};
+    const counts = {};
+    let empty = true;
+    for (const options of fields) {
+      const frequency = new Map();
+      for (const token of TextIndex.tokenize(document[options.field], options)) {
+        frequency.set(token, (frequency.get(token) || 0) + 1);
+      }
+      tokens[options.field] = Array.from(frequency.keys());
+      counts[options.field] = frequency;
+      if (frequency.size > 0) empty = false;
+    }
+    return empty ? null : { key, tokens, counts };
+  }
+
+  // Actualiza (o borra, si `document` es null) la entrada de un documento en la misma transacción
+  static write(store, key, document, fields) {
+    const text = store.transaction.objectStore(TextIndex.storeName(store.name));
+    const entry = document ? TextIndex.entry(key, document, fields) : null;
+    if (entry) text.put(entry);
+    else text.delete(key);
+  }
+
+  static clear(store) {
+    store.transaction.objectStore(TextIndex.storeName(store.name)).clear();
+  }
+
+  // Indica si el almacén de texto de una colección no corresponde a los campos `text` del esquema
+  static needsSync(db, transaction, collection, fields) {
+    const name = TextIndex.storeName(collection);
+    if (!db.objectStoreNames.contains(name)) return fields.length > 0;
+    const indexNames = Array.from(transaction.objectStore(name).indexNames).sort();
+    return !Matcher.equals(indexNames, fields.map(({ field }) => field).sort());
+  }
+
+  /**
+   * Recrea el almacén de texto de una colección y lo rellena con sus documentos. Solo
+   * dentro de una versionchange, cuando `needsSync` o tras ejecutar migraciones.
+   */
+  static sync(db, transaction, collection, fields) {
+    const name = TextIndex.storeName(collection);
+    if (db.objectStoreNames.contains(name)) db.deleteObjectStore(name);
+    if (fields.length === 0) return;
+
+    const text = db.createObjectStore(name, { keyPath: "key" });
+    for (const { field } of fields) {
+      text.createIndex(field, `tokens.${field}`, { multiEntry: true });
+    }
+    const cursorRequest = transaction.objectStore(collection).openCursor();
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor) return;
+      const entry = TextIndex.entry(cursor.primaryKey, cursor.value, fields);
+      if (entry) text.put(entry);
+      cursor.continue();
+    };
+  }
+
+  /**
+   * Busca `{ $search }` en el índice y devuelve un Map clave -> puntuación. Los términos se
+   * combinan con OR y un término precedido de "-" excluye los documentos que lo contienen.
+   * La puntuación suma, por campo y término, peso * (1 + ln tf) * ln(1 + N / df).
+   */
+  static search(store, spec, fields) {
+    TextIndex.assertSpec(spec, fields);
+    const text = store.transaction.objectStore(TextIndex.storeName(store.name));
+    const { included, excluded } = TextIndex.terms(spec);
+
+    const lookups = [];
+    for (const options of fields) {
+      const index = text.index(options.field);
+      for (const [value, exclude] of [[included, false], [excluded, true]]) {
+        for (const token of new Set(TextIndex.tokenize(value, options))) {
+          lookups.push({ options, token, exclude, request: request(index.getAll(token)) });
+        }
+      }
+    }
+
+    return Promise.all([
+      request(text.count()),
+      ...lookups.map((lookup) => lookup.request),
+    ]).then(([total, ...results]) => {
+      const scores = new Map();
+      const rejected = new Set();
+      results.forEach((entries, position) => {
+        const { options, token, exclude } = lookups[position];
+        if (exclude) {
+          entries.forEach((entry) => rejected.add(entry.key));
+          return;
+        }
+        const idf = Math.log(1 + total / entries.length);
+        for (const entry of entries) {
+          const frequency = entry.counts[options.field].get(token);
+          const score = options.weight * (1 + Math.log(frequency)) * idf;
+          scores.set(entry.key, (scores.get(entry.key) || 0) + score);
+        }
+      });
+      rejected.forEach((key) => scores.delete(key));
+      return scores;
+    });
+  }
+
+  // Valida { $search } y que el esquema tenga algún campo `text`
+  static assertSpec(spec, fields) {
+    if (!spec || typeof spec.$search !== "string") {
+      throw new Error("Operator '$text' expects { $search: 'text' }");
+    }
+    if (fields.length === 0) {
+      throw new Error("Operator '$text' needs a schema field with text: true");
+    }
+  }
+
+  // Términos de la búsqueda: los que suman y los precedidos de "-", que excluyen
+  static terms(spec) {
+    const words = spec.$search.split(/\s+/).filter(Boolean);
+    return {
+      included: words.filter((word) => !word.startsWith("-")).join(" "),
+      excluded: words
+        .filter((word) => word.startsWith("-"))
+        .map((word) => word.slice(1))
+        .join(" "),
+    };
+  }
+
+  /**
+   * Evalúa { $search } sobre un documento sin usar el índice, con las mismas reglas que
+   * `search`: algún término en algún campo `text` y ninguno de los excluidos
+   */
+  static matches(document, spec, fields) {
+    TextIndex.assertSpec(spec, fields);
+    const { included, excluded } = TextIndex.terms(spec);
+    let found = false;
+    for (const options of fields) {
+      const tokens = new Set(TextIndex.tokenize(document[options.field], options));
+      if (TextIndex.tokenize(excluded, options).some((token) => tokens.has(token))) {
+        return false;
+      }
+      if (TextIndex.tokenize(included, options).some((token) => tokens.has(token))) {
+        found = true;
+      }
+    }
+    return found;
+  }
+}
+
+export { TextIndex };
@@ -0,0 +1,310 @@
+/**
+ * @file Transaction class: stages writes over several collections and commits them atomically
+ */
+
+import { Matcher } from "./Matcher.js";
+import { Query } from "./Query.js";
+import { Updater } from "./Updater.js";
+import { Sanitizer } from "./Sanitizer.js";
+import {
+  IrisError,
+  NotFoundError,
+  QuotaError,
+  ValidationError,
+  VersionConflictError,
+} from "./Errors.js";
+
+class Transaction {
+  constructor(model, collections) {
+    this.model = model;
+    this.collections =
+      typeof collections === "string" ? [collections] : [...collections];
+    if (this.collections.length === 0) {
+      throw new IrisError("A transaction needs at least one collection", {
+        code: "INVALID_ARGUMENT",
+      });
+    }
+    const existing = Array.from(model.db.objectStoreNames);
+    for (const name of this.collections) {
+      if (!existing.includes(name)) {
+        throw new NotFoundError(`Collection '${name}' not found`, {
+          collection: name,
+        });
+      }
+    }
+    // Escrituras pendientes por colección: clave primaria -> { value, base }
+    this.staged = new Map(this.collections.map((name) => [name, new Map()]));
+    // Documentos creados con su contexto de pre('save'), para post('save') tras confirmar
+    this.created = [];
+    this.committed = false;
+  }
+
+  // Devuelve la interfaz de una colección dentro de la transacción
+  collection(name) {
+    if (!this.staged.has(name)) {
+      throw new IrisError(`Collection '${name}' is not part of this transaction`, {
+        code: "INVALID_ARGUMENT",
+      });
+    }
+    const tx = this;
+    return {
+      create: (data, options) => tx.create(name, data, options),
+      update: (data, id, options) => tx.update(name, data, id, options),
+      delete: (id) => tx.delete(name, id),
+      findById: (id) => tx.findById(name, id),
+      find: (query, options) => tx.find(name, query, options),
+    };
+  }
+
+  async create(collection, data, options = {}) {
+    this._assertOpen();
+    const { data: created, record, hook } = await this.model._prepareCreate(
+      data,
+      options,
+      collection
+    );
+    const key = record[this.model.primary];
+    const staged = this.staged.get(collection).get(key);
+    if (staged && staged.value) {
+      throw new IrisError(`Duplicate primary key '${key}' in '${collection}'`, {
+        code: "DUPLICATE_KEY",
+      });
+    }
+    this._assertStagedUnique(collection, record);
+    this._stage(collection, key, record, staged ? staged.base : undefined);
+    this.created = this.created.filter(
+      (entry) => entry.collection !== collection || entry.key !== key
+    );
+    this.created.push({ collection, key, data: created, hook });
+    return created;
+  }
+
+  async update(collection, data, id, { expectedVersion } = {}) {
+    this._assertOpen();
+    const primary = this.model.primary;
+    id = id || data[primary];
+    if (!id) throw this.model._missingPrimaryKey();
+
+    const { value: current, base } = await this._read(collection, id);
+    if (!current) throw new NotFoundError("Item not found", { id, collection });
+    if (expectedVersion !== undefined && !this.model.schema.versionKey) {
+      throw new IrisError("expectedVersion requires the versionKey schema option", {
+        code: "INVALID_ARGUMENT",
+      });
+    }
+    const conflict = this.model._versionConflict(current, expectedVersion, collection);
+    if (conflict) throw conflict;
+
+    let updated;
+    if (Updater.isOperatorUpdate(data)) {
+      const operations = this.model._updateOperations(data);
+      updated = Updater.apply(current, operations, [primary]);
+      if (!Matcher.equals(current, updated)) {
+        this.model._stampUpdated(updated, operations, current);
+      }
+      await this.model._validateData(updated, "update", id, collection);
+    } else {
+      data = Sanitizer.write(this.model.schema, data);
+      delete data[primary];
+      await this.model._validateData(data, "update", id, collection, {
+        partial: true,
+      });
+      updated = this.model._stampUpdated(
+        { ...current, ...this.model._prepare(data) },
+        data,
+        current
+      );
+    }
+    this._assertStagedUnique(collection, updated);
+    this._stage(collection, id, updated, base);
+    return updated;
+  }
+
+  async delete(collection, id) {
+    this._assertOpen();
+    const { value: current, base } = await this._read(collection, id);
+    const field = this.model.softDelete;
+    if (!field) {
+      this._stage(collection, id, null, base);
+    } else if (current && !this.model._isDeleted(current)) {
+      // Con softDelete el borrado es una actualización de deletedAt
+      const deleted = { ...current, [field]: new Date() };
+      this._stage(collection, id, this.model._stampUpdated(deleted, {}, current), base);
+    }
+    return id;
+  }
+
+  async findById(collection, id) {
+    const { value } = await this._read(collection, id);
+    return this.model._isDeleted(value) || this.model._isExpired(value)
+      ? undefined
+      : this.model._applyGetters(value);
+  }
+
+  // Lee los datos confirmados y superpone las escrituras pendientes de la transacción
+  async find(collection, query = null, options = {}) {
+    const staged = this.staged.get(collection);
+    const filter = this.model._scope(query, {
+      withDeleted: options.withDeleted,
+    });
+    const committed = await this.model.find(filter, {
+      collection,
+      hooks: false,
+      withDeleted: true,
+    });
+    let results = committed.filter(
+      (item) => !staged.has(item[this.model.primary])
+    );
+    for (const { value } of staged.values()) {
+      if (value && this.model._matchesQuery(value, filter)) results.push(value);
+    }
+    results = results.map((item) => this.model._applyGetters(item));
+
+    const sort = Query.normalizeSort(options.sort);
+    if (sort) results.sort(Query.comparator(sort));
+    const skip = options.skip || 0;
+    const limit = options.limit ?? null;
+    results = results.slice(skip, limit === null ? undefined : skip + limit);
+    const fields = Query.normalizeProjection(options.fields);
+    return fields ? results.map((item) => Query.project(item, fields)) : results;
+  }
+
+  /**
+   * Abre una única transacción readwrite sobre todas las colecciones y aplica las
+   * escrituras pendientes. Si algún documento cambió desde que se leyó, o una
+   * escritura falla, la transacción se aborta y no se aplica ningún cambio.
+   */
+  async commit() {
+    this._assertOpen();
+    this.committed = true;
+
+    const entries = [];
+    for (const [collection, staged] of this.staged) {
+      for (const [key, entry] of staged) {
+        entries.push({ collection, key, ...entry });
+      }
+    }
+    if (entries.length === 0) return;
+    // Una versionchange pudo cerrar la conexión mientras se ejecutaba el callback
+    if (!this.model.db) await this.model.connect();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.model.db.transaction(
+        this.model._transactionStores(this.collections),
+        "readwrite"
+      );
+      let failure = null;
+      const fail = (error) => {
+        if (failure) return;
+        failure = error;
+        try {
+          transaction.abort();
+        } catch (abortError) {
+          // La transacción ya había terminado
+        }
+      };
+
+      transaction.oncomplete = () => {
+        this.model._flushChanges(transaction);
+        resolve();
+      };
+      transaction.onabort = () =>
+        reject(
+          QuotaError.from(
+            failure ||
+              transaction.error ||
+              new IrisError("Transaction aborted", { code: "TRANSACTION_ABORTED" })
+          )
+        );
+
+      for (const entry of entries) {
+        const store = transaction.objectStore(entry.collection);
+        const check = store.get(entry.key);
+        check.onsuccess = () => {
+          if (failure) return;
+          if (!Matcher.equals(check.result, entry.base)) {
+            return fail(
+              new VersionConflictError(
+                `Transaction conflict: '${entry.key}' in '${entry.collection}' changed during the transaction`,
+                { id: entry.key, collection: entry.collection }
+              )
+            );
+          }
+          const request =
+            entry.value === null
+              ? store.delete(entry.key)
+              : store.put(entry.value);
+          request.onsuccess = () =>
+            this.model._recordChange(
+              store,
+              entry.value === null ? "delete" : entry.base ? "update" : "insert",
+              entry.base,
+              entry.value
+            );
+          request.onerror = () => fail(request.error);
+        };
+        check.onerror = () => fail(check.error);
+      }
+    });
+  }
+
+  // Devuelve el valor visible dentro de la transacción y el valor confirmado (base)
+  async _read(collection, id) {
+    const staged = this.staged.get(collection).get(id);
+    if (staged) return { value: staged.value || undefined, base: staged.base };
+
+    const base = await this.model._executeTransaction(
+      "readonly",
+      (store) =>
+        new Promise((resolve, reject) => {
+          const request = store.get(id);
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        }),
+      collection
+    );
+    return { value: base, base };
+  }
+
+  _stage(collection, key, value, base) {
+    this.staged.get(collection).set(key, { value, base });
+  }
+
+  // Los campos unique se comprueban también entre los documentos pendientes
+  _assertStagedUnique(collection, record) {
+    const primary = this.model.primary;
+    for (const [field, definition] of Object.entries(
+      this.model.schema.definition
+    )) {
+      if (!definition.unique || field === primary) continue;
+      if (record[field] === undefined || record[field] === null) continue;
+      for (const [key, { value }] of this.staged.get(collection)) {
+        if (
+          value &&
+          key !== record[primary] &&
+          Matcher.equals(value[field], record[field])
+        ) {
+          throw ValidationError.unique(field, record[field]);
+        }
+      }
+    }
+  }
+
+  // post('save') de los documentos creados que siguen existiendo al confirmar
+  async _afterCommit() {
+    for (const { collection, key, data, hook } of this.created) {
+      if (!this.staged.get(collection).get(key)?.value) continue;
+      await this.model._after("save", this.model._applyGetters(data), hook);
+    }
+  }
+
+  _assertOpen() {
+    if (this.committed) {
+      throw new IrisError("Transaction has already been committed", {
+        code: "TRANSACTION_COMMITTED",
+      });
+    }
+  }
+}
+
+export { Transaction };
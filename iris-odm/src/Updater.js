@@ -0,0 +1,198 @@
+/**
+ * @file Updater class: applies Mongo-style update documents ($set, $inc, $push...) to plain objects
+ */
+
+import { Matcher } from "./Matcher.js";
+import { Query } from "./Query.js";
+
+const UPDATE_OPERATORS = [
+  "$set",
+  "$unset",
+  "$inc",
+  "$mul",
+  "$min",
+  "$max",
+  "$push",
+  "$addToSet",
+  "$pull",
+  "$rename",
+];
+
+class Updater {
+  // Indica si el documento usa operadores ($set, $inc...) en lugar de campos sueltos
+  static isOperatorUpdate(update) {
+    const keys = Object.keys(update || {});
+    const operators = keys.filter((key) => key.startsWith("$"));
+    if (operators.length > 0 && operators.length !== keys.length) {
+      throw new Error("Update document cannot mix operators and plain fields");
+    }
+    return operators.length > 0;
+  }
+
+  /**
+   * Devuelve una copia del documento con la actualización aplicada. Un documento sin
+   * operadores se trata como $set de sus campos (igual que Model.update).
+   * `protectedPaths` son rutas que no se pueden modificar (p. ej. la clave primaria).
+   */
+  static apply(item, update, protectedPaths = []) {
+    const operations = Updater.isOperatorUpdate(update)
+      ? update
+      : { $set: update };
+    const result = structuredClone(item);
+
+    for (const [operator, fields] of Object.entries(operations)) {
+      if (!UPDATE_OPERATORS.includes(operator)) {
+        throw new Error(`Unknown update operator '${operator}'`);
+      }
+      if (!fields || typeof fields !== "object") {
+        throw new Error(`Operator '${operator}' expects an object`);
+      }
+      for (const [path, operand] of Object.entries(fields)) {
+        const touched = operator === "$rename" ? [path, operand] : [path];
+        for (const target of touched) {
+          if (
+            protectedPaths.some(
+              (field) => target === field || target.startsWith(`${field}.`)
+            )
+          ) {
+            throw new Error(`Field '${target}' cannot be updated`);
+          }
+        }
+        Updater.applyOperator(result, operator, path, operand);
+      }
+    }
+    return result;
+  }
+
+  static applyOperator(item, operator, path, operand) {
+    const current = Matcher.getPath(item, path);
+    switch (operator) {
+      case "$set":
+        return Updater.setPath(item, path, structuredClone(operand));
+      case "$unset":
+        return Updater.unsetPath(item, path);
+      case "$inc":
+      case "$mul": {
+        Updater.assertNumber(operator, path, operand);
+        const base = current === undefined || current === null ? 0 : current;
+        Updater.assertNumber(operator, path, base);
+        const value = operator === "$inc" ? base + operand : base * operand;
+        return Updater.setPath(item, path, value);
+      }
+      case "$min":
+      case "$max": {
+        const diff =
+          current === undefined ? null : Query.compareValues(operand, current);
+        if (diff === null || (operator === "$min" ? diff < 0 : diff > 0)) {
+          Updater.setPath(item, path, structuredClone(operand));
+        }
+        return;
+      }
+      case "$push":
+      case "$addToSet": {
+        const list = Updater.arrayAt(item, path, operator);
+        const values =
+          operand && typeof operand === "object" && Array.isArray(operand.$each)
+            ? operand.$each
+            : [operand];
+        for (const value of values) {
+          if (
+            operator === "$addToSet" &&
+            list.some((element) => Matcher.equals(element, value))
+          ) {
+            continue;
+          }
+          list.push(structuredClone(value));
+        }
+        return;
+      }
+      case "$pull": {
+        if (current === undefined) return;
+        if (!Array.isArray(current)) {
+          throw new Error(`Operator '$pull' expects '${path}' to be an array`);
+        }
+        const remaining = current.filter(
+          (element) => !Updater.pullMatches(element, operand)
+        );
+        return Updater.setPath(item, path, remaining);
+      }
+      case "$rename": {
+        if (typeof operand !== "string" || operand === path) {
+          throw new Error(
+            `Operator '$rename' expects a different target path for '${path}'`
+          );
+        }
+        if (current === undefined) return;
+        Updater.unsetPath(item, path);
+        return Updater.setPath(item, operand, current);
+      }
+    }
+  }
+
+  // $pull acepta un valor, una condición ({ $gte: 5 }) o una subconsulta sobre objetos
+  static pullMatches(element, condition) {
+    if (condition instanceof RegExp || Matcher.isOperatorObject(condition)) {
+      return Matcher.matchesCondition([element], condition);
+    }
+    if (Matcher.isPlainObject(condition) && Matcher.isPlainObject(element)) {
+      return Matcher.matches(element, condition);
+    }
+    return Matcher.equals(element, condition);
+  }
+
+  static arrayAt(item, path, operator) {
+    const current = Matcher.getPath(item, path);
+    if (current === undefined || current === null) {
+      const list = [];
+      Updater.setPath(item, path, list);
+      return list;
+    }
+    if (!Array.isArray(current)) {
+      throw new Error(`Operator '${operator}' expects '${path}' to be an array`);
+    }
+    return current;
+  }
+
+  static assertNumber(operator, path, value) {
+    if (typeof value !== "number" || isNaN(value)) {
+      throw new Error(`Operator '${operator}' expects a number for '${path}'`);
+    }
+  }
+
+  // Asigna un valor en una ruta con puntos, creando los objetos intermedios
+  static setPath(item, path, value) {
+    const segments = path.split(".");
+    let target = item;
+    for (let i = 0; i < segments.length - 1; i++) {
+      const segment = segments[i];
+      if (target[segment] === undefined || target[segment] === null) {
+        target[segment] = /^\d+$/.test(segments[i + 1]) ? [] : {};
+      } else if (typeof target[segment] !== "object") {
+        throw new Error(
+          `Cannot create field '${segments[i + 1]}' inside '${segments
+            .slice(0, i + 1)
+            .join(".")}'`
+        );
+      }
+      target = target[segment];
+    }
+    target[segments[segments.length - 1]] = value;
+  }
+
+  static unsetPath(item, path) {
+    const segments = path.split(".");
+    const last = segments.pop();
+    const parent = segments.length
+      ? Matcher.getPath(item, segments.join("."))
+      : item;
+    if (parent === null || typeof parent !== "object") return;
+    if (Array.isArray(parent) && /^\d+$/.test(last)) {
+      // Como en MongoDB, un elemento de array se deja a null en lugar de desplazar el resto
+      if (Number(last) < parent.length) parent[Number(last)] = null;
+      return;
+    }
+    delete parent[last];
+  }
+}
+
+export { Updater };
@@ -0,0 +1,204 @@
+/**
+ * @file Validator class: checks documents against a schema definition (types, built-in rules,
+ * nested schemas and typed arrays); shared by Schema.validate, Schema.validateAsync and Model
+ */
+
+import { Schema } from "./Schema.js";
+import { ValidationError } from "./Errors.js";
+
+// Tipos que se pueden declarar como texto: { type: 'string' }
+const TYPE_NAMES = {
+  string: String,
+  number: Number,
+  boolean: Boolean,
+  date: Date,
+  array: Array,
+  object: Object,
+};
+
+class Validator {
+  /**
+   * Normaliza la definición de un campo a { type, ...reglas }. Admite un constructor
+   * (String), un nombre ('string'), un array tipado ([String], [itemSchema]), un
+   * sub-esquema (new Schema({...})) o un objeto con `type` y reglas.
+   */
+  static field(definition) {
+    if (
+      typeof definition === "function" ||
+      typeof definition === "string" ||
+      Array.isArray(definition) ||
+      definition instanceof Schema
+    ) {
+      return { type: definition };
+    }
+    return definition || {};
+  }
+
+  static resolveType(type) {
+    return typeof type === "string" ? TYPE_NAMES[type.toLowerCase()] : type;
+  }
+
+  static isType(value, type) {
+    type = Validator.resolveType(type);
+    if (!type) return true;
+    if (type instanceof Schema) {
+      return (
+        typeof value === "object" && !Array.isArray(value) && !(value instanceof Date)
+      );
+    }
+    if (Array.isArray(type) || type === Array) return Array.isArray(value);
+    if (type === String) return typeof value === "string";
+    if (type === Number) return typeof value === "number" && !isNaN(value);
+    if (type === Boolean) return typeof value === "boolean";
+    if (type === Date) return value instanceof Date && !isNaN(value);
+    if (type === Object) return typeof value === "object";
+    return typeof type === "function" ? value instanceof type : true;
+  }
+
+  static typeName(type) {
+    type = Validator.resolveType(type);
+    if (type instanceof Schema) return "Object";
+    if (Array.isArray(type)) {
+      return type.length > 0
+        ? `[${Validator.typeName(Validator.field(type[0]).type)}]`
+        : "Array";
+    }
+    return type?.name || String(type);
+  }
+
+  /**
+   * Recorre la definición y devuelve { errors, pending }: `errors` son
+   * { path, kind, value, message } y
+   * `pending` los validadores personalizados que devolvieron una promesa. Con `partial`
+   * solo se comprueban los campos presentes (actualizaciones parciales).
+   */
+  static collect(
+    definition,
+    data,
+    { partial = false, prefix = "" } = {},
+    result = { errors: [], pending: [] }
+  ) {
+    for (const [field, rules] of Object.entries(definition)) {
+      if (partial && !Object.prototype.hasOwnProperty.call(data, field)) continue;
+      Validator.check(Validator.field(rules), data[field], prefix + field, result);
+    }
+    return result;
+  }
+
+  // Valida un valor (campo, elemento de array o sub-documento) contra sus reglas
+  static check(rules, value, path, result) {
+    const fail = (kind, message) => result.errors.push({ path, kind, value, message });
+
+    if (value === undefined || value === null) {
+      if (rules.required) fail("required", `Field '${path}' is required`);
+      return;
+    }
+    if (!Validator.isType(value, rules.type)) {
+      return fail("type", `Field '${path}' must be of type ${Validator.typeName(rules.type)}`);
+    }
+
+    const type = Validator.resolveType(rules.type);
+    if (type instanceof Schema) {
+      Validator.collect(type.definition, value, { prefix: `${path}.` }, result);
+    } else if (Array.isArray(type) && type.length > 0) {
+      const element = Validator.field(type[0]);
+      value.forEach((item, index) =>
+        Validator.check(element, item, `${path}.${index}`, result)
+      );
+    }
+
+    // En un array, `enum` se aplica a cada elemento
+    if (rules.enum) {
+      const values = Array.isArray(value) ? value : [value];
+      const invalid = values.find((item) => !rules.enum.includes(item));
+      if (invalid !== undefined) {
+        fail("enum", `Field '${path}' must be one of: ${rules.enum.join(", ")}`);
+      }
+    }
+    if (typeof value === "number" || value instanceof Date) {
+      if (rules.min !== undefined && value < rules.min) {
+        fail("min", `Field '${path}' must be at least ${rules.min}`);
+      }
+      if (rules.max !== undefined && value > rules.max) {
+        fail("max", `Field '${path}' must be at most ${rules.max}`);
+      }
+    }
+    if (rules.integer && typeof value === "number" && !Number.isInteger(value)) {
+      fail("integer", `Field '${path}' must be an integer`);
+    }
+    if (typeof value === "string" || Array.isArray(value)) {
+      if (rules.minLength !== undefined && value.length < rules.minLength) {
+        fail("minLength", `Field '${path}' must have a length of at least ${rules.minLength}`);
+      }
+      if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+        fail("maxLength", `Field '${path}' must have a length of at most ${rules.maxLength}`);
+      }
+    }
+    // search() ignora lastIndex, así que una expresión con /g no alterna resultados
+    if (rules.match && typeof value === "string" && value.search(rules.match) === -1) {
+      fail("match", `Field '${path}' does not match ${rules.match}`);
+    }
+
+    if (typeof rules.validate === "function") {
+      try {
+        const isValid = rules.validate(value);
+        if (isValid && typeof isValid.then === "function") {
+          result.pending.push({ path, value, promise: isValid });
+        } else if (!isValid) {
+          fail("custom", `Validation failed for field '${path}'`);
+        }
+      } catch (error) {
+        fail("custom", `Validation error for field '${path}': ${error.message}`);
+      }
+    }
+  }
+
+  // Validación síncrona: un validador asíncrono cuenta como error
+  static validateSync(definition, data, options) {
+    const { errors, pending } = Validator.collect(definition, data, options);
+    for (const { path, value } of pending) {
+      errors.push({
+        path,
+        kind: "custom",
+        value,
+        message: `Validator for field '${path}' is asynchronous and cannot run in a synchronous validation`,
+      });
+    }
+    return errors;
+  }
+
+  static async validateAsync(definition, data, options) {
+    const { errors, pending } = Validator.collect(definition, data, options);
+    await Promise.all(
+      pending.map(({ path, value, promise }) =>
+        promise.then(
+          (isValid) => {
+            if (!isValid) {
+              errors.push({
+                path,
+                kind: "custom",
+                value,
+                message: `Validation failed for field '${path}'`,
+              });
+            }
+          },
+          (error) => {
+            errors.push({
+              path,
+              kind: "custom",
+              value,
+              message: `Validation error for field '${path}': ${error.message}`,
+            });
+          }
+        )
+      )
+    );
+    return errors;
+  }
+
+  static assert(errors) {
+    if (errors.length > 0) throw new ValidationError(errors);
+  }
+}
+
+export { Validator };
@@ -4,21 +4,17 @@
  * Import all the necessary classes and functions. Export them as a single object.
  */
 
-/* Check for browser support for IndexedDB and the window instance is not in private mode, show a error message if not supported and stop the execution */
+/* Check the browser storage quota. IndexedDB is not required at import time: without it (Node, tests, SSR) models use another storage adapter, such as MemoryAdapter */
 (function checkBrowserSupport() {
-  if (!window.indexedDB) {
-    throw new Error('IndexedDB is not supported in this browser. Please use a modern browser to run this application.');
-  }
-  if (navigator.storage && navigator.storage.estimate) {
-    navigator.storage.estimate().then((quota) => {
-      if (quota.usage >= quota.quota) {
-        throw new Error('Storage quota exceeded. Please clear some space to run this application.');
-      }
-      console.log('Storage quota:', quota);
-    });
-  } else {
-    throw new Error('Storage estimation is not supported in this browser.');
+  if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) {
+    return;
   }
+  navigator.storage.estimate().then((quota) => {
+    if (quota.usage >= quota.quota) {
+      throw new QuotaError('Storage quota exceeded. Please clear some space to run this application.');
+    }
+    console.log('Storage quota:', quota);
+  });
 })();
 
 
@@ -27,5 +23,33 @@ import { Schema } from './Schema.js';
 import { Model } from './Model.js';
 import { SyncManager } from './Sync.js';
 import { FileSystemManager } from './FileSystem.js';
+import { StorageAdapter } from './StorageAdapter.js';
+import { IndexedDBAdapter } from './IndexedDBAdapter.js';
+import { MemoryAdapter } from './MemoryAdapter.js';
+import { OPFSAdapter } from './OPFSAdapter.js';
+import {
+  IrisError,
+  ValidationError,
+  NotFoundError,
+  QuotaError,
+  VersionConflictError,
+  SyncError
+} from './Errors.js';
 
-export { IrisUtils, Schema, Model, SyncManager, FileSystemManager };
\ No newline at end of file
+export {
+  IrisUtils,
+  Schema,
+  Model,
+  SyncManager,
+  FileSystemManager,
+  StorageAdapter,
+  IndexedDBAdapter,
+  MemoryAdapter,
+  OPFSAdapter,
+  IrisError,
+  ValidationError,
+  NotFoundError,
+  QuotaError,
+  VersionConflictError,
+  SyncError
+};
\ No newline at end of file
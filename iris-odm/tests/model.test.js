@@ -3,7 +3,7 @@
  */
 
 // Importar el módulo Model y Schema para probar
-import { Model, Schema } from '../src/iris.js';
+import { Model, Schema, MemoryAdapter, OPFSAdapter, IrisError, ValidationError, NotFoundError, VersionConflictError } from '../src/iris.js';
 
 // Definición del esquema para pruebas
 const userSchema = new Schema({
@@ -244,6 +244,1567 @@ async function testConnect2() {
     });
   }  
 
+// Test: Búsqueda, conteo y borrado usando un índice del esquema
+async function testIndexedQueries() {
+    const indexedSchema = new Schema({
+        name: { type: String, required: true },
+        age: { type: Number, required: true }
+    }).addIndex('age');
+    const model = new Model('indexedUsers', indexedSchema);
+
+    try {
+        await model.connect();
+        await model.clear();
+        for (let i = 0; i < 10; i++) {
+            await model.create({ name: `User ${i}`, age: 20 + i });
+        }
+
+        const range = await model.find({ query: { age: { $gte: 25, $lt: 28 } } });
+        const inList = await model.find({ query: { age: { $in: [21, 29] }, name: { $ne: 'User 1' } } });
+        const total = await model.count({ age: { $gt: 24 } });
+        const deleted = await model.deleteMany({ age: { $lte: 22 } });
+        const remaining = await model.count();
+
+        const isValid = range.length === 3
+            && inList.length === 1 && inList[0].age === 29
+            && total === 5
+            && deleted.length === 3 && remaining === 7;
+        logResult('testIndexedQueries', { success: isValid });
+    } catch (error) {
+        logResult('testIndexedQueries', { success: false, error: error.message });
+    }
+}
+
+// Test: Consulta encadenable con sort, skip, limit y select
+async function testQueryBuilder() {
+    const indexedSchema = new Schema({
+        name: { type: String, required: true },
+        age: { type: Number, required: true }
+    }).addIndex('age');
+    const model = new Model('queryUsers', indexedSchema);
+
+    try {
+        await model.connect();
+        await model.clear();
+        for (let i = 0; i < 10; i++) {
+            await model.create({ name: `User ${i}`, age: 20 + i });
+        }
+
+        const page = await model.find({ age: { $gte: 22 } })
+            .sort({ age: -1 })
+            .skip(2)
+            .limit(3)
+            .select(['name']);
+        const legacy = await model.find({ query: { age: 25 }, fields: ['age'] });
+
+        const isValid = page.length === 3
+            && page[0].name === 'User 7' && page[2].name === 'User 5'
+            && page[0].age === undefined
+            && legacy.length === 1 && legacy[0].age === 25 && legacy[0].name === undefined;
+        logResult('testQueryBuilder', { success: isValid });
+    } catch (error) {
+        logResult('testQueryBuilder', { success: false, error: error.message });
+    }
+}
+
+// Test: Recorrer resultados por lotes con un iterador asíncrono
+async function testCursor() {
+    const model = new Model('cursorUsers', userSchema);
+
+    try {
+        await model.connect();
+        await model.clear();
+        for (let i = 0; i < 25; i++) {
+            await model.create({ name: `User ${i}`, age: i });
+        }
+
+        const ages = [];
+        for await (const user of model.cursor({ age: { $gte: 5 } }, { batchSize: 4, sort: { age: -1 }, limit: 12 })) {
+            ages.push(user.age);
+        }
+        const expected = await model.find({ age: { $gte: 5 } }).sort({ age: -1 }).limit(12);
+
+        const isValid = ages.length === 12
+            && ages[0] === 24 && ages[11] === 13
+            && ages.join() === expected.map(user => user.age).join();
+        logResult('testCursor', { success: isValid });
+    } catch (error) {
+        logResult('testCursor', { success: false, error: error.message });
+    }
+}
+
+// Test: Operadores lógicos, de existencia, regex y rutas anidadas
+async function testQueryOperators() {
+    const profileSchema = new Schema({
+        name: { type: String, required: true },
+        tags: { type: Array },
+        address: { type: Object },
+        items: { type: Array }
+    });
+    const model = new Model('operatorUsers', profileSchema);
+
+    try {
+        await model.connect();
+        await model.clear();
+        await model.create({ name: 'Ana', tags: ['admin', 'dev'], address: { city: 'Lima' }, items: [{ sku: 'a', qty: 2 }] });
+        await model.create({ name: 'Bruno', tags: ['dev'], address: { city: 'Quito' }, items: [{ sku: 'b', qty: 7 }] });
+        await model.create({ name: 'Carla' });
+
+        const names = async (query) => (await model.find(query)).map(user => user.name).sort().join();
+
+        let unknownOperatorError = null;
+        try {
+            await model.find({ name: { $like: 'A%' } });
+        } catch (error) {
+            unknownOperatorError = error;
+        }
+
+        const isValid = await names({ $or: [{ 'address.city': 'Lima' }, { tags: { $size: 1 } }] }) === 'Ana,Bruno'
+            && await names({ tags: 'admin' }) === 'Ana'
+            && await names({ tags: { $all: ['dev', 'admin'] } }) === 'Ana'
+            && await names({ address: { $exists: false } }) === 'Carla'
+            && await names({ name: { $regex: '^b', $options: 'i' } }) === 'Bruno'
+            && await names({ name: { $not: /^[AB]/ } }) === 'Carla'
+            && await names({ items: { $elemMatch: { qty: { $gt: 5 } } } }) === 'Bruno'
+            && await names({ $nor: [{ 'items.sku': 'a' }, { tags: null }] }) === 'Bruno'
+            && unknownOperatorError !== null;
+        logResult('testQueryOperators', { success: isValid });
+    } catch (error) {
+        logResult('testQueryOperators', { success: false, error: error.message });
+    }
+}
+
+// Test: Operadores de actualización, updateOne y updateMany
+async function testUpdateOperators() {
+    const profileSchema = new Schema({
+        name: { type: String, required: true },
+        age: { type: Number, required: true },
+        tags: { type: Array },
+        address: { type: Object },
+        nickname: { type: String },
+        alias: { type: String },
+        fullName: { type: String }
+    });
+    const model = new Model('updateOperatorUsers', profileSchema);
+
+    try {
+        await model.connect();
+        await model.clear();
+        const ana = await model.create({ name: 'Ana', age: 20, tags: ['dev'], nickname: 'Anita' });
+        await model.create({ name: 'Bruno', age: 30, tags: ['dev', 'ops'] });
+
+        const many = await model.updateMany({ tags: 'dev' }, { $inc: { age: 1 }, $addToSet: { tags: 'ops' } });
+        const one = await model.updateOne({ name: 'Bruno' }, { $set: { 'address.city': 'Quito' }, $pull: { tags: 'dev' } });
+        const updated = await model.update({ $rename: { nickname: 'alias' }, $unset: { tags: '' } }, ana._id);
+        // Renombrar un campo obligatorio lo deja sin valor: la validación lo rechaza
+        const renameRequired = await model.update({ $rename: { name: 'fullName' } }, ana._id)
+            .catch((error) => error);
+        const bruno = (await model.find({ 'address.city': 'Quito' }))[0];
+
+        let invalidUpdateRejected = false;
+        try {
+            await model.updateMany({}, { $set: { age: 'old' } });
+        } catch (error) {
+            invalidUpdateRejected = true;
+        }
+        const ages = (await model.find().sort({ age: 1 })).map(user => user.age).join();
+
+        const isValid = many.matchedCount === 2 && many.modifiedCount === 2
+            && one.matchedCount === 1 && one.modifiedCount === 1
+            && updated.alias === 'Anita' && updated.nickname === undefined && updated.tags === undefined
+            && renameRequired instanceof ValidationError && renameRequired.errors.name !== undefined
+            && bruno.age === 31 && bruno.tags.join() === 'ops'
+            && invalidUpdateRejected && ages === '21,31';
+        logResult('testUpdateOperators', { success: isValid });
+    } catch (error) {
+        logResult('testUpdateOperators', { success: false, error: error.message });
+    }
+}
+
+// Test: Transacción atómica sobre varias colecciones
+async function testMultiCollectionTransaction() {
+    const stockSchema = new Schema({
+        name: { type: String, required: true },
+        stock: { type: Number }
+    });
+    const model = new Model('transactionDB', stockSchema, { collections: ['orders', 'inventory'], active: 'inventory' });
+
+    try {
+        await model.connect();
+        await model.clear();
+        const item = await model.create({ name: 'Widget', stock: 5 });
+
+        await model.transaction(['orders', 'inventory'], async (tx) => {
+            await tx.collection('orders').create({ name: 'Order 1' });
+            await tx.collection('inventory').update({ $inc: { stock: -1 } }, item._id);
+        });
+
+        let aborted = false;
+        try {
+            await model.transaction(['orders', 'inventory'], async (tx) => {
+                await tx.collection('orders').create({ name: 'Order 2' });
+                await tx.collection('inventory').update({ $inc: { stock: -10 } }, item._id);
+                throw new Error('Out of stock');
+            });
+        } catch (error) {
+            aborted = error.message === 'Out of stock';
+        }
+
+        const stock = (await model.findById(item._id)).stock;
+        const orders = await model.find({}, { collection: 'orders' });
+        const isValid = aborted && stock === 4
+            && orders.filter(order => order.name.startsWith('Order')).length === 1;
+        await model.clear();
+        await model.switchCollection('orders');
+        await model.clear();
+        logResult('testMultiCollectionTransaction', { success: isValid });
+    } catch (error) {
+        logResult('testMultiCollectionTransaction', { success: false, error: error.message });
+    }
+}
+
+// Test: Inserción masiva y escrituras en bloque
+async function testInsertManyAndBulkWrite() {
+    const bulkSchema = new Schema({
+        name: { type: String, required: true },
+        email: { type: String, unique: true },
+        age: { type: Number }
+    });
+    const model = new Model('bulkDB', bulkSchema);
+
+    try {
+        await model.connect();
+        await model.clear();
+
+        const inserted = await model.insertMany([
+            { name: 'Ana', email: 'ana@example.com', age: 30 },
+            { name: 'Luis', email: 'ana@example.com' },
+            { age: 20 },
+            { name: 'Eva', email: 'eva@example.com', age: 25 }
+        ], { ordered: false });
+
+        const report = await model.bulkWrite([
+            { insertOne: { document: { name: 'Pablo', age: 40 } } },
+            { updateOne: { filter: { name: 'Ana' }, update: { $inc: { age: 1 } } } },
+            { deleteMany: { filter: { age: { $gte: 40 } } } }
+        ]);
+
+        const names = (await model.find().sort('name')).map(user => user.name).join(',');
+        const isValid = inserted.insertedCount === 2
+            && inserted.errors.map(error => error.index).join(',') === '1,2'
+            && report.ok && report.insertedCount === 1
+            && report.modifiedCount === 1 && report.deletedCount === 1
+            && names === 'Ana,Eva';
+        await model.clear();
+        logResult('testInsertManyAndBulkWrite', { success: isValid });
+    } catch (error) {
+        logResult('testInsertManyAndBulkWrite', { success: false, error: error.message });
+    }
+}
+
+// Test: Pipeline de agregación
+async function testAggregate() {
+    const salesSchema = new Schema({
+        product: { type: String },
+        region: { type: String },
+        amount: { type: Number }
+    });
+    const model = new Model('aggregateDB', salesSchema, { collections: ['sales', 'regions'], active: 'sales' });
+
+    try {
+        await model.connect();
+        await model.clear();
+        await model.insertMany([
+            { product: 'A', region: 'north', amount: 10 },
+            { product: 'B', region: 'north', amount: 30 },
+            { product: 'A', region: 'south', amount: 20 },
+            { product: 'C', region: 'east', amount: 5 }
+        ]);
+        await model.switchCollection('regions');
+        await model.clear();
+        await model.insertMany([{ product: 'Norte', region: 'north' }, { product: 'Sur', region: 'south' }]);
+        await model.switchCollection('sales');
+
+        const totals = await model.aggregate([
+            { $match: { amount: { $gte: 10 } } },
+            { $group: { _id: '$region', total: { $sum: '$amount' }, avg: { $avg: '$amount' }, sales: { $count: {} } } },
+            { $sort: { total: -1 } }
+        ]);
+        const joined = await model.aggregate([
+            { $match: { product: 'A' } },
+            { $lookup: { from: 'regions', localField: 'region', foreignField: 'region', as: 'info' } },
+            { $unwind: '$info' },
+            { $project: { _id: 0, product: 1, regionName: '$info.product' } },
+            { $sort: { regionName: 1 } }
+        ]);
+
+        const isValid = totals.map(group => `${group._id}:${group.total}:${group.sales}`).join(',') === 'north:40:2,south:20:1'
+            && totals[0].avg === 20
+            && joined.map(item => item.regionName).join(',') === 'Norte,Sur';
+        await model.clear();
+        await model.switchCollection('regions');
+        await model.clear();
+        logResult('testAggregate', { success: isValid });
+    } catch (error) {
+        logResult('testAggregate', { success: false, error: error.message });
+    }
+}
+
+// Test: Referencias entre colecciones y populate
+async function testPopulate() {
+    const blogSchema = new Schema({
+        name: { type: String, required: true },
+        author: { type: String, ref: 'authors' },
+        tags: { type: Array, ref: 'tags' },
+        // El ref también puede ir en el elemento de un array tipado o en un sub-documento
+        labels: [{ type: String, ref: 'tags' }],
+        meta: new Schema({ editor: { type: String, ref: 'authors' } })
+    });
+    const model = new Model('populateDB', blogSchema, { collections: ['posts', 'authors', 'tags'], active: 'authors' });
+
+    try {
+        await model.connect();
+        await model.clear();
+        const author = await model.create({ name: 'Ana' });
+        await model.switchCollection('tags');
+        await model.clear();
+        const tags = await model.insertMany([{ name: 'js' }, { name: 'db' }]);
+        await model.switchCollection('posts');
+        await model.clear();
+        const post = await model.create({
+            name: 'Hola',
+            author: author._id,
+            tags: tags.insertedIds,
+            labels: [tags.insertedIds[1]],
+            meta: { editor: author._id }
+        });
+
+        const posts = await model.find().populate('author tags labels meta.editor');
+        const single = await model.findById(post._id).populate('author', 'name');
+
+        const isValid = posts[0].author.name === 'Ana'
+            && posts[0].tags.map(tag => tag.name).join(',') === 'js,db'
+            && posts[0].labels.map(tag => tag.name).join(',') === 'db'
+            && posts[0].meta.editor.name === 'Ana'
+            && single.author.name === 'Ana' && single.author._id === undefined;
+        await model.clear();
+        for (const collection of ['authors', 'tags']) {
+            await model.switchCollection(collection);
+            await model.clear();
+        }
+        logResult('testPopulate', { success: isValid });
+    } catch (error) {
+        logResult('testPopulate', { success: false, error: error.message });
+    }
+}
+
+// Test: Migraciones versionadas al actualizar la base de datos
+async function testMigrations() {
+    const contactSchema = new Schema({
+        fullName: { type: String },
+        email: { type: String }
+    });
+    contactSchema.addIndex('email', { unique: true });
+
+    try {
+        const legacy = new Model('migrationDB', new Schema({ name: { type: String }, email: { type: String } }));
+        await legacy.drop();
+        await legacy.connect();
+        await legacy.create({ name: 'Ana Pérez', email: 'ANA@EXAMPLE.COM' });
+        await legacy.disconnect();
+
+        const model = new Model('migrationDB', contactSchema, {
+            migrations: {
+                2: async (ctx) => {
+                    await ctx.renameField('name', 'fullName');
+                    ctx.createIndex('email', { unique: true });
+                },
+                3: (ctx) => ctx.updateAll(contact => ({ ...contact, email: contact.email.toLowerCase() }))
+            }
+        });
+        await model.connect();
+
+        const [contact] = await model.find();
+        const applied = (await model.appliedMigrations()).map(migration => migration.version);
+        const store = model.db.transaction('migrationDB').objectStore('migrationDB');
+        const isValid = contact.fullName === 'Ana Pérez' && contact.name === undefined
+            && contact.email === 'ana@example.com'
+            && applied.join(',') === '2,3'
+            && store.indexNames.contains('email');
+        await model.disconnect();
+        await model.drop();
+        logResult('testMigrations', { success: isValid });
+    } catch (error) {
+        logResult('testMigrations', { success: false, error: error.message });
+    }
+}
+
+// Test: Sincronización de índices declarados en el esquema
+async function testIndexSync() {
+    const personSchema = new Schema({
+        firstName: { type: String },
+        lastName: { type: String },
+        tags: { type: Array }
+    });
+
+    try {
+        const legacy = new Model('indexSyncDB', personSchema);
+        await legacy.drop();
+        await legacy.connect();
+        await legacy.insertMany([
+            { firstName: 'Ana', lastName: 'Pérez', tags: ['admin', 'dev'] },
+            { firstName: 'Luis', lastName: 'Pérez', tags: ['dev'] }
+        ]);
+        await legacy.disconnect();
+
+        personSchema.addIndex(['lastName', 'firstName'], { unique: true }).addIndex('tags', { multiEntry: true });
+        const model = new Model('indexSyncDB', personSchema);
+        await model.connect();
+
+        const store = model.db.transaction('indexSyncDB').objectStore('indexSyncDB');
+        const compound = store.index('lastName_firstName');
+        const tagsMultiEntry = store.index('tags').multiEntry;
+        const developers = await model.find({ tags: 'dev' });
+        const luis = await model.find({ lastName: 'Pérez', firstName: 'Luis' });
+
+        await model.dropIndex('tags');
+        const tagsDropped = !(await model.checkIndex('tags'));
+
+        const isValid = compound.unique && compound.keyPath.join(',') === 'lastName,firstName'
+            && tagsMultiEntry
+            && developers.length === 2 && luis.length === 1 && tagsDropped;
+        await model.disconnect();
+        await model.drop();
+        logResult('testIndexSync', { success: isValid });
+    } catch (error) {
+        logResult('testIndexSync', { success: false, error: error.message });
+    }
+}
+
+// Test: Consultas vivas y eventos de cambios
+async function testWatchAndLiveQuery() {
+    const taskSchema = new Schema({
+        title: { type: String, required: true },
+        done: { type: Boolean }
+    });
+    const model = new Model('liveQueryDB', taskSchema);
+    const wait = () => new Promise(resolve => setTimeout(resolve, 50));
+
+    try {
+        await model.connect();
+        await model.clear();
+
+        const events = [];
+        const stopWatching = model.watch({ done: false }, change => events.push(change.type));
+        const snapshots = [];
+        const unsubscribe = model.liveQuery({ done: false }, { sort: 'title' })
+            .subscribe(tasks => snapshots.push(tasks.map(task => task.title).join(',')));
+        await wait();
+
+        const task = await model.create({ title: 'B', done: false });
+        await model.create({ title: 'A', done: false });
+        await model.create({ title: 'C', done: true });
+        await wait();
+        await model.update({ $set: { done: true } }, task._id);
+        await wait();
+        stopWatching();
+        unsubscribe();
+        await model.create({ title: 'D', done: false });
+        await wait();
+
+        const isValid = events.join(',') === 'insert,insert,update'
+            && snapshots[0] === '' && snapshots[snapshots.length - 1] === 'A';
+        await model.clear();
+        logResult('testWatchAndLiveQuery', { success: isValid });
+    } catch (error) {
+        logResult('testWatchAndLiveQuery', { success: false, error: error.message });
+    }
+}
+
+// Test: Cambios compartidos entre pestañas (dos modelos sobre la misma base de datos)
+async function testCrossTabChanges() {
+    const noteSchema = new Schema({ text: { type: String } });
+    const writer = new Model('broadcastDB', noteSchema);
+    const reader = new Model('broadcastDB', noteSchema);
+    const wait = () => new Promise(resolve => setTimeout(resolve, 100));
+
+    try {
+        await writer.connect();
+        await reader.connect();
+        await writer.clear();
+
+        const remote = [];
+        const stop = reader.watch(change => remote.push(change));
+        const note = await writer.create({ text: 'hola' });
+        await writer.delete(note._id);
+        await wait();
+        stop();
+
+        const isValid = remote.length === 2 && remote.every(change => change.remote)
+            && remote[0].type === 'insert' && remote[0].after.text === 'hola'
+            && remote[1].type === 'delete' && remote[1].key === note._id;
+        await writer.disconnect();
+        await reader.disconnect();
+        logResult('testCrossTabChanges', { success: isValid });
+    } catch (error) {
+        logResult('testCrossTabChanges', { success: false, error: error.message });
+    }
+}
+
+// Test: Middleware pre/post del esquema
+async function testHooks() {
+    const accountSchema = new Schema({
+        email: { type: String, required: true },
+        archived: { type: Boolean },
+        updatedBy: { type: String }
+    });
+    const removed = [];
+    accountSchema
+        .pre('save', (ctx) => { ctx.data.email = ctx.data.email.trim().toLowerCase(); })
+        .pre('update', (ctx) => { ctx.update = { $set: { ...ctx.update.$set, updatedBy: 'admin' } }; })
+        .pre('delete', (ctx) => {
+            if (ctx.id === 'root') throw new Error('Cannot delete root account');
+        })
+        .post('delete', (ids) => removed.push(...[].concat(ids)))
+        .pre('find', (ctx) => { ctx.query = { ...ctx.query, archived: { $ne: true } }; });
+    const model = new Model('hooksDB', accountSchema);
+
+    try {
+        await model.connect();
+        await model.clear();
+
+        const account = await model.create({ email: '  Ana@Example.COM ' });
+        await model.create({ _id: 'root', email: 'root@example.com' });
+        await model.create({ email: 'old@example.com', archived: true });
+        const updated = await model.update({ $set: { email: 'ana@iris.dev' } }, account._id);
+
+        let aborted = false;
+        try {
+            await model.delete('root');
+        } catch (error) {
+            aborted = error.message === 'Cannot delete root account';
+        }
+        await model.delete(account._id);
+        const visible = await model.find();
+
+        const isValid = account.email === 'ana@example.com' && updated.updatedBy === 'admin'
+            && aborted && removed.join(',') === account._id
+            && visible.length === 1 && visible[0]._id === 'root';
+        await model.clear();
+        logResult('testHooks', { success: isValid });
+    } catch (error) {
+        logResult('testHooks', { success: false, error: error.message });
+    }
+}
+
+// Test: Validación de sub-documentos y actualizaciones parciales
+async function testSchemaValidation() {
+    const orderSchema = new Schema({
+        customer: { type: String, required: true },
+        status: { type: String, required: true, enum: ['new', 'paid'] },
+        shipping: new Schema({ city: { type: String, required: true } }),
+        lines: [new Schema({ sku: { type: String, required: true }, qty: { type: Number, min: 1, integer: true } })]
+    });
+    const model = new Model('validationDB', orderSchema);
+
+    try {
+        await model.connect();
+        await model.clear();
+
+        const order = await model.create({
+            customer: 'Ana',
+            status: 'new',
+            shipping: { city: 'Madrid' },
+            lines: [{ sku: 'A-1', qty: 2 }]
+        });
+        // Una actualización sin operadores solo valida los campos enviados
+        const paid = await model.update({ status: 'paid' }, order._id);
+
+        const rejected = [];
+        for (const update of [{ status: 'lost' }, { $set: { 'shipping.city': null } }, { $push: { lines: { sku: 'B-2', qty: 0.5 } } }]) {
+            try {
+                await model.update(update, order._id);
+            } catch (error) {
+                rejected.push(error.message);
+            }
+        }
+        const stored = await model.findById(order._id);
+
+        const isValid = paid.status === 'paid' && paid.customer === 'Ana'
+            && rejected.length === 3
+            && rejected[0].includes("'status' must be one of")
+            && rejected[1].includes("'shipping.city' is required")
+            && rejected[2].includes("'lines.1.qty' must be an integer")
+            && stored.status === 'paid' && stored.lines.length === 1;
+        await model.clear();
+        logResult('testSchemaValidation', { success: isValid });
+    } catch (error) {
+        logResult('testSchemaValidation', { success: false, error: error.message });
+    }
+}
+
+// Test: Errores estructurados (ValidationError y NotFoundError)
+async function testValidationErrors() {
+    const userSchema = new Schema({
+        email: { type: String, required: true, unique: true },
+        password: { type: String },
+        age: { type: Number, min: 18 }
+    });
+    const model = new Model('errorsDB', userSchema);
+
+    try {
+        await model.connect();
+        await model.clear();
+        await model.create({ email: 'ana@example.com', password: 's3cr3t' });
+
+        let validation = null;
+        try {
+            await model.create({ email: 'ana@example.com', password: 's3cr3t', age: 12 });
+        } catch (error) {
+            validation = error;
+        }
+        let notFound = null;
+        try {
+            await model.update({ age: 30 }, 'missing-id');
+        } catch (error) {
+            notFound = error;
+        }
+
+        const isValid = validation instanceof ValidationError
+            && validation.code === 'VALIDATION_ERROR'
+            && validation.errors.email.kind === 'unique'
+            && validation.errors.age.kind === 'min' && validation.errors.age.value === 12
+            && !validation.message.includes('s3cr3t')
+            && notFound instanceof NotFoundError && notFound.code === 'NOT_FOUND'
+            && notFound.id === 'missing-id';
+        await model.clear();
+        logResult('testValidationErrors', { success: isValid });
+    } catch (error) {
+        logResult('testValidationErrors', { success: false, error: error.message });
+    }
+}
+
+// Test: Valores por defecto, setters/getters, saneamiento y modo strict
+async function testDefaultsAndSanitizers() {
+    const productSchema = new Schema({
+        sku: { type: String, required: true, trim: true, uppercase: true },
+        status: { type: String, default: 'draft' },
+        tags: { type: [String], default: [] },
+        // Se guarda en céntimos y se lee en euros
+        price: { type: Number, set: value => Math.round(value * 100), get: value => value / 100 }
+    });
+    const strictSchema = new Schema({ name: { type: String } }, { strict: 'throw' });
+    const looseSchema = new Schema({ name: { type: String } }, { strict: false });
+    const model = new Model('sanitizeDB', productSchema);
+    const strictModel = new Model('strictDB', strictSchema);
+    const looseModel = new Model('looseDB', looseSchema);
+
+    try {
+        await model.connect();
+        await strictModel.connect();
+        await looseModel.connect();
+        await model.clear();
+        await looseModel.clear();
+
+        const product = await model.create({ sku: '  ab-12 ', price: 19.99, color: 'red' });
+        const other = await model.create({ sku: 'cd-34' });
+        const stored = await model.findById(product._id);
+        const raw = await model.find({ price: 1999 });
+        const updated = await model.update({ $set: { price: 5 } }, product._id);
+
+        let rejected = null;
+        try {
+            await strictModel.create({ name: 'x', color: 'red' });
+        } catch (error) {
+            rejected = error;
+        }
+        const loose = await looseModel.create({ name: 'x', color: 'red' });
+
+        const isValid = product.sku === 'AB-12' && product.status === 'draft'
+            && product.color === undefined && stored.color === undefined
+            && stored.price === 19.99 && raw.length === 1 && updated.price === 5
+            && Array.isArray(other.tags) && other.tags !== product.tags
+            && rejected?.errors?.color?.kind === 'strict'
+            && (await looseModel.findById(loose._id)).color === 'red';
+        await model.clear();
+        await looseModel.clear();
+        logResult('testDefaultsAndSanitizers', { success: isValid });
+    } catch (error) {
+        logResult('testDefaultsAndSanitizers', { success: false, error: error.message });
+    }
+}
+
+// Test: Timestamps automáticos (createdAt / updatedAt)
+async function testTimestamps() {
+    const noteSchema = new Schema({
+        title: { type: String, required: true },
+        views: { type: Number }
+    }, { timestamps: true });
+    const model = new Model('timestampsDB', noteSchema);
+    const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    try {
+        await model.connect();
+        await model.clear();
+
+        const note = await model.create({ title: 'Nota', views: 0 });
+        await wait(5);
+        const edited = await model.update({ title: 'Nota editada' }, note._id);
+        await wait(5);
+        await model.updateMany({ _id: note._id }, { $inc: { views: 1 } });
+        const stored = await model.findById(note._id);
+        // Una actualización que no cambia nada no renueva updatedAt
+        await model.updateOne({ _id: note._id }, { $set: { views: 1 } });
+        const unchanged = await model.findById(note._id);
+        const recent = await model.find({ updatedAt: { $gte: note.createdAt } });
+        const indexes = noteSchema.indexes.map(index => index.field);
+
+        const isValid = note.createdAt instanceof Date
+            && note.createdAt.getTime() === note.updatedAt.getTime()
+            && edited.createdAt.getTime() === note.createdAt.getTime()
+            && edited.updatedAt > note.updatedAt
+            && stored.updatedAt > edited.updatedAt
+            && unchanged.updatedAt.getTime() === stored.updatedAt.getTime()
+            && recent.length === 1
+            && indexes.includes('createdAt') && indexes.includes('updatedAt');
+        await model.clear();
+        logResult('testTimestamps', { success: isValid });
+    } catch (error) {
+        logResult('testTimestamps', { success: false, error: error.message });
+    }
+}
+
+// Test: Campos virtuales
+async function testVirtuals() {
+    const taskSchema = new Schema({
+        firstName: { type: String },
+        lastName: { type: String },
+        dueDate: { type: Date },
+        done: { type: Boolean }
+    });
+    taskSchema.virtual('owner')
+        .get(function () { return `${this.firstName} ${this.lastName}`; })
+        .set(function (value) { [this.firstName, this.lastName] = value.split(' '); });
+    taskSchema.virtual('isOverdue').get(task => !task.done && task.dueDate < new Date());
+    const model = new Model('virtualsDB', taskSchema);
+
+    try {
+        await model.connect();
+        await model.clear();
+
+        const task = await model.create({ owner: 'Ana Ruiz', dueDate: new Date(2000, 0, 1), done: false });
+        await model.create({ owner: 'Luis Gil', dueDate: new Date(2999, 0, 1), done: false });
+        const sorted = await model.find().sort({ owner: 1 }).select('owner isOverdue');
+        const hidden = await model.findById(task._id, { isOverdue: 0 });
+        const raw = await model.find({ _id: task._id }, { hooks: false });
+        const renamed = await model.update({ $set: { owner: 'Ana Gómez' } }, task._id);
+
+        const isValid = task.firstName === 'Ana' && task.owner === 'Ana Ruiz' && task.isOverdue === true
+            && sorted.map(item => item.owner).join(',') === 'Ana Ruiz,Luis Gil'
+            && sorted[1].isOverdue === false && sorted[0].firstName === undefined
+            && hidden.isOverdue === undefined && hidden.owner === 'Ana Ruiz'
+            && !('owner' in raw[0]) && !('isOverdue' in raw[0])
+            && renamed.lastName === 'Gómez' && renamed.owner === 'Ana Gómez';
+        await model.clear();
+        logResult('testVirtuals', { success: isValid });
+    } catch (error) {
+        logResult('testVirtuals', { success: false, error: error.message });
+    }
+}
+
+// Test: Borrado lógico (softDelete), restore y purge
+async function testSoftDelete() {
+    const noteSchema = new Schema({
+        title: { type: String, unique: true },
+        priority: { type: Number }
+    });
+    const model = new Model('softDeleteDB', noteSchema, { softDelete: true });
+
+    try {
+        await model.connect();
+        await model.clear();
+
+        const first = await model.create({ title: 'Primera', priority: 1 });
+        await model.create({ title: 'Segunda', priority: 2 });
+        await model.create({ title: 'Tercera', priority: 3 });
+        await model.delete(first._id);
+        const removed = await model.deleteMany({ priority: { $gte: 3 } });
+
+        const visible = await model.find();
+        const hidden = await model.findById(first._id);
+        const all = await model.find().withDeleted();
+        const duplicate = await model.create({ title: 'Primera' }).then(() => null, error => error);
+        const restored = await model.restore(first._id);
+        const purged = await model.purge();
+        const total = await model.count(null, undefined, { withDeleted: true });
+
+        const isValid = visible.length === 1 && visible[0].title === 'Segunda'
+            && hidden === undefined && removed.length === 1
+            && all.length === 3 && all.filter(item => item.deletedAt instanceof Date).length === 2
+            && duplicate instanceof ValidationError
+            && restored.title === 'Primera' && restored.deletedAt === undefined
+            && purged.length === 1 && total === 2 && (await model.count()) === 2;
+        await model.clear();
+        logResult('testSoftDelete', { success: isValid });
+    } catch (error) {
+        logResult('testSoftDelete', { success: false, error: error.message });
+    }
+}
+
+// Test: Control de concurrencia con versiones (versionKey y expectedVersion)
+async function testVersionKey() {
+    const docSchema = new Schema({
+        title: { type: String },
+        views: { type: Number }
+    }, { versionKey: true });
+    const model = new Model('versionKeyDB', docSchema);
+
+    try {
+        await model.connect();
+        await model.clear();
+
+        const created = await model.create({ title: 'Borrador', views: 0 });
+        // Dos pestañas leen la misma versión; solo la primera escritura se acepta
+        const firstTab = await model.update({ title: 'Pestaña 1' }, created._id, { expectedVersion: 0 });
+        const conflict = await model.update({ title: 'Pestaña 2' }, created._id, { expectedVersion: 0 })
+            .then(() => null, error => error);
+        const counted = await model.update({ $inc: { views: 1 } }, created._id);
+        const stored = await model.findById(created._id);
+
+        const isValid = created.__v === 0 && firstTab.__v === 1
+            && conflict instanceof VersionConflictError && conflict.code === 'VERSION_CONFLICT'
+            && conflict.expected === 0 && conflict.actual === 1
+            && counted.__v === 2 && stored.title === 'Pestaña 1' && stored.__v === 2;
+        await model.clear();
+        logResult('testVersionKey', { success: isValid });
+    } catch (error) {
+        logResult('testVersionKey', { success: false, error: error.message });
+    }
+}
+
+// Test: Documentos con caducidad (índices TTL)
+async function testExpiringDocuments() {
+    const cacheSchema = new Schema({
+        url: { type: String, unique: true },
+        body: { type: String },
+        expiresAt: { type: Date, expires: 0 }
+    });
+    const model = new Model('ttlDB', cacheSchema, { ttlInterval: 0 });
+
+    try {
+        await model.connect();
+        await model.clear();
+
+        const now = Date.now();
+        const stale = await model.create({ url: '/api/old', body: 'viejo', expiresAt: new Date(now - 1000) });
+        await model.create({ url: '/api/new', body: 'nuevo', expiresAt: new Date(now + 60000) });
+        await model.create({ url: '/api/static', body: 'sin caducidad' });
+
+        const visible = await model.find().sort({ url: 1 });
+        const hidden = await model.findById(stale._id);
+        const total = await model.count();
+        const swept = await model.sweepExpired();
+        const sweptAgain = await model.sweepExpired();
+
+        const isValid = visible.map(item => item.url).join(',') === '/api/new,/api/static'
+            && hidden === undefined && total === 2
+            && swept === 1 && sweptAgain === 0;
+        await model.clear();
+        await model.disconnect();
+        logResult('testExpiringDocuments', { success: isValid });
+    } catch (error) {
+        logResult('testExpiringDocuments', { success: false, error: error.message });
+    }
+}
+
+// Test: Búsqueda de texto completo ($text)
+async function testTextSearch() {
+    const noteSchema = new Schema({
+        title: { type: String, text: { weight: 2 } },
+        body: { type: String, text: { stopwords: 'es' } },
+        folder: { type: String }
+    });
+    const model = new Model('textSearchDB', noteSchema);
+
+    try {
+        await model.connect();
+        await model.clear();
+
+        const recipe = await model.create({ title: 'Receta de café', body: 'Café con leche', folder: 'cocina' });
+        const meeting = await model.create({ title: 'Reunión', body: 'Hablamos del CAFE y del presupuesto', folder: 'trabajo' });
+        await model.create({ title: 'Ideas', body: 'Nada que ver', folder: 'trabajo' });
+
+        const ranked = await model.find({ $text: { $search: 'cafe' } });
+        const excluded = await model.find({ $text: { $search: 'café -leche' } });
+        const filtered = await model.find({ $text: { $search: 'café' }, folder: 'cocina' });
+        await model.update({ body: 'Solo presupuesto' }, meeting._id);
+        const afterUpdate = await model.count({ $text: { $search: 'café' } });
+
+        const isValid = ranked.length === 2 && ranked[0]._id === recipe._id
+            && ranked[0]._score > ranked[1]._score
+            && excluded.length === 1 && excluded[0]._id === meeting._id
+            && filtered.length === 1 && filtered[0]._id === recipe._id
+            && afterUpdate === 1;
+        await model.clear();
+        logResult('testTextSearch', { success: isValid });
+    } catch (error) {
+        logResult('testTextSearch', { success: false, error: error.message });
+    }
+}
+
+// Test: Adaptador de almacenamiento en memoria (MemoryAdapter)
+async function testMemoryAdapter() {
+    const taskSchema = new Schema({
+        title: { type: String, required: true },
+        priority: { type: Number },
+        code: { type: String, unique: true }
+    });
+    taskSchema.addIndex('priority');
+    const adapter = new MemoryAdapter();
+    const model = new Model('memoryAdapterDB', taskSchema, { adapter });
+    const other = new Model('memoryAdapterDB', taskSchema, { adapter: new MemoryAdapter() });
+
+    try {
+        await model.connect();
+        await model.create({ title: 'A', priority: 3, code: 'a' });
+        const second = await model.create({ title: 'B', priority: 1, code: 'b' });
+        await model.create({ title: 'C', priority: 2, code: 'c' });
+
+        const sorted = await model.find({ priority: { $gte: 2 } }, { sort: { priority: -1 } });
+        await model.update({ $inc: { priority: 10 } }, second._id);
+        const duplicated = await model.create({ title: 'D', code: 'a' }).catch((error) => error);
+        // Los datos viven en la instancia del adaptador: otra instancia no los ve
+        const isolated = await other.count();
+        const databases = await model.databases();
+
+        const isValid = sorted.map((item) => item.title).join() === 'A,C'
+            && (await model.findById(second._id)).priority === 11
+            && duplicated instanceof ValidationError
+            && await model.count() === 3
+            && isolated === 0
+            && databases.some((db) => db.name === 'memoryAdapterDB');
+        await model.drop();
+        logResult('testMemoryAdapter', { success: isValid });
+    } catch (error) {
+        logResult('testMemoryAdapter', { success: false, error: error.message });
+    }
+}
+
+// Directorio del OPFS en memoria (lo mínimo de FileSystemDirectoryHandle que usa OPFSAdapter)
+function memoryDirectory(entries = new Map()) {
+    const missing = (name) => new DOMException(`'${name}' not found`, 'NotFoundError');
+    const fileHandle = (name, file) => ({
+        kind: 'file',
+        name,
+        getFile: async () => new File([file.data], name),
+        createWritable: async ({ keepExistingData = false } = {}) => {
+            let data = keepExistingData ? file.data.slice() : new Uint8Array(0);
+            return {
+                async write({ position, data: chunk }) {
+                    const bytes = typeof chunk === 'string'
+                        ? new TextEncoder().encode(chunk)
+                        : new Uint8Array(await chunk.arrayBuffer());
+                    const next = new Uint8Array(Math.max(data.length, position + bytes.length));
+                    next.set(data);
+                    next.set(bytes, position);
+                    data = next;
+                },
+                // Como en el OPFS, el fichero solo cambia al cerrar
+                async close() { file.data = data; },
+                async abort() {}
+            };
+        }
+    });
+    const entry = (name, create, kind) => {
+        if (!entries.has(name)) {
+            if (!create) throw missing(name);
+            entries.set(name, kind === 'directory' ? { entries: new Map() } : { data: new Uint8Array(0) });
+        }
+        const found = entries.get(name);
+        if ((kind === 'directory') !== !!found.entries) {
+            throw new DOMException(`'${name}' is not a ${kind}`, 'TypeMismatchError');
+        }
+        return found;
+    };
+    return {
+        kind: 'directory',
+        getDirectoryHandle: async (name, { create = false } = {}) =>
+            memoryDirectory(entry(name, create, 'directory').entries),
+        getFileHandle: async (name, { create = false } = {}) => fileHandle(name, entry(name, create, 'file')),
+        removeEntry: async (name) => {
+            if (!entries.delete(name)) throw missing(name);
+        },
+        async *entries() {
+            for (const [name, found] of Array.from(entries)) {
+                yield [name, found.entries ? memoryDirectory(found.entries) : fileHandle(name, found)];
+            }
+        }
+    };
+}
+
+// LockManager en memoria: solo admite peticiones exclusivas con `ifAvailable`
+function memoryLocks() {
+    const held = new Set();
+    return {
+        async request(name, options, callback) {
+            if (held.has(name)) return callback(null);
+            held.add(name);
+            try {
+                return await callback({ name, mode: 'exclusive' });
+            } finally {
+                held.delete(name);
+            }
+        }
+    };
+}
+
+// Test: OPFSAdapter sobre un directorio en memoria: compactación del log, reserva de la base
+// de datos y recuperación tras un cierre inesperado
+async function testOPFSAdapter() {
+    const noteSchema = new Schema({
+        title: { type: String, required: true },
+        priority: { type: Number },
+        createdAt: { type: Date }
+    });
+    noteSchema.addIndex('priority');
+    const root = memoryDirectory();
+    const locks = memoryLocks();
+    const open = (options = {}) => new Model('opfsAdapterDB', noteSchema, {
+        collections: ['notes', 'tags'],
+        active: 'notes',
+        adapter: new OPFSAdapter({ root, locks, ...options })
+    });
+    // La reserva se suelta tras cerrar la última conexión, cuando terminan sus escrituras
+    const wait = () => new Promise(resolve => setTimeout(resolve, 50));
+    const folder = async () => (await root.getDirectoryHandle('iris-odm')).getDirectoryHandle('opfsAdapterDB');
+    const readFile = async (name) => (await (await (await folder()).getFileHandle(name)).getFile()).text();
+    const writeFile = async (name, text) => {
+        const writable = await (await (await folder()).getFileHandle(name)).createWritable();
+        await writable.write({ type: 'write', position: 0, data: text });
+        await writable.close();
+    };
+
+    try {
+        // Umbral pequeño para que el log de notes se compacte durante el test
+        const model = open({ compactThreshold: 512 });
+        await model.connect();
+        const first = await model.create({ title: 'A', priority: 1, createdAt: new Date(0) });
+        for (let i = 0; i < 10; i++) {
+            await model.create({ title: `Nota ${i}`, priority: 10 + i });
+        }
+        await model.update({ priority: 5 }, first._id);
+        const [last] = await model.find({ priority: 19 });
+        await model.delete(last._id);
+        const { stores } = JSON.parse(await readFile('manifest.json'));
+        const compacted = stores.notes.snapshot > stores.tags.snapshot
+            && (await readFile('notes.log')).length <= 512;
+
+        // Otra pestaña no puede abrirla mientras esta siga conectada
+        const second = open();
+        const locked = await second.connect().then(() => null, (error) => error.code);
+        await model.disconnect();
+        await wait();
+        await second.connect();
+        const tagsLog = await readFile('tags.log');
+        await second.transaction(['notes', 'tags'], async (tx) => {
+            await tx.collection('notes').create({ title: 'Perdida' });
+            await tx.collection('tags').create({ title: 'Perdida' });
+        });
+        await second.disconnect();
+        await wait();
+
+        // Cierre inesperado: la transacción no llegó al log de tags y la última línea quedó cortada
+        await writeFile('tags.log', tagsLog);
+        await writeFile('notes.log', `${await readFile('notes.log')}{"seq":99,"sto`);
+        const reopened = open();
+        await reopened.connect();
+        const stored = await reopened.findById(first._id);
+        const isValid = compacted && locked === 'DATABASE_LOCKED'
+            && await reopened.count() === 10
+            && stored.priority === 5
+            && stored.createdAt instanceof Date
+            && (await reopened.find({ priority: { $gte: 10 } })).length === 9
+            && (await reopened.find({ title: 'Perdida' })).length === 0
+            // La recuperación vuelve a compactar y deja los logs vacíos
+            && await readFile('notes.log') === '' && await readFile('tags.log') === '';
+        await reopened.drop();
+        logResult('testOPFSAdapter', { success: isValid });
+    } catch (error) {
+        logResult('testOPFSAdapter', { success: false, error: error.message });
+    }
+}
+
+// Test: Otro modelo actualiza la versión mientras el primero sigue conectado
+async function testVersionChangeWhileConnected() {
+    const plainSchema = new Schema({ name: { type: String }, age: { type: Number } });
+    const indexedSchema = new Schema({ name: { type: String }, age: { type: Number } });
+    indexedSchema.addIndex('age');
+    const first = new Model('versionChangeDB', plainSchema);
+    const second = new Model('versionChangeDB', indexedSchema);
+    // Si la conexión abierta bloquease la actualización, connect() no terminaría nunca
+    const timeout = new Promise((resolve, reject) =>
+        setTimeout(() => reject(new Error('connect() blocked by another connection')), 3000)
+    );
+
+    try {
+        await first.connect();
+        await first.create({ name: 'Ana', age: 30 });
+        await Promise.race([second.connect(), timeout]);
+        // El primer modelo cerró su conexión y vuelve a conectar al usarse
+        const isValid = first.db === null
+            && await first.count() === 1
+            && (await second.find({ age: 30 })).length === 1;
+        await Promise.race([second.drop(), timeout]);
+        logResult('testVersionChangeWhileConnected', { success: isValid });
+    } catch (error) {
+        logResult('testVersionChangeWhileConnected', { success: false, error: error.message });
+    }
+}
+
+// Test: Lote con un _id duplicado: el resto se inserta y el fallo llega en el informe
+async function testBatchPartialFailure() {
+    const model = new Model('batchFailureDB', userSchema);
+    try {
+        await model.connect();
+        const existing = await model.create({ name: 'Ana', age: 30 });
+        const inserted = await model.insertMany(
+            [{ _id: existing._id, name: 'Copia', age: 1 }, { name: 'Luis', age: 40 }],
+            { ordered: false }
+        );
+        const bulk = await model.bulkWrite(
+            [
+                { insertOne: { document: { _id: existing._id, name: 'Copia', age: 1 } } },
+                { insertOne: { document: { name: 'Eva', age: 22 } } }
+            ],
+            { ordered: false }
+        );
+
+        const isValid = inserted.insertedCount === 1
+            && inserted.errors.length === 1
+            && inserted.errors[0].index === 0
+            && inserted.errors[0].error.name === 'ConstraintError'
+            && bulk.errors.length === 1
+            && bulk.errors[0].index === 0
+            && await model.count() === 3;
+        await model.drop();
+        logResult('testBatchPartialFailure', { success: isValid });
+    } catch (error) {
+        logResult('testBatchPartialFailure', { success: false, error: error && error.message });
+    }
+}
+
+// Test: Un índice normal sobre un campo Array da los mismos resultados que sin índice
+async function testArrayFieldIndex() {
+    const makeSchema = (indexed) => {
+        const schema = new Schema({ name: { type: String }, tags: { type: Array } });
+        if (indexed) schema.addIndex('tags');
+        return schema;
+    };
+    const plain = new Model('arrayPlainDB', makeSchema(false));
+    const indexed = new Model('arrayIndexedDB', makeSchema(true));
+
+    try {
+        const results = [];
+        for (const model of [plain, indexed]) {
+            await model.connect();
+            await model.create({ name: 'Ana', tags: ['admin', 'editor'] });
+            await model.create({ name: 'Luis', tags: ['user'] });
+            results.push([
+                (await model.find({ tags: 'admin' })).length,
+                await model.count({ tags: 'admin' }),
+                (await model.find({ tags: { $in: ['admin', 'user'] } })).length
+            ].join());
+            await model.drop();
+        }
+        const isValid = results[0] === '1,1,2' && results[1] === results[0];
+        logResult('testArrayFieldIndex', { success: isValid });
+    } catch (error) {
+        logResult('testArrayFieldIndex', { success: false, error: error.message });
+    }
+}
+
+// Test: Sin suscriptores en ninguna pestaña no se registran ni publican cambios
+async function testChangeStreamIdle() {
+    const noteSchema = new Schema({ text: { type: String } });
+    const writer = new Model('idleChangesDB', noteSchema);
+    const reader = new Model('idleChangesDB', noteSchema);
+    const wait = () => new Promise(resolve => setTimeout(resolve, 100));
+
+    try {
+        await writer.connect();
+        await reader.connect();
+        await wait();
+        const idle = !writer.changes.active && !reader.changes.active;
+
+        // Otra pestaña se suscribe: el escritor empieza a publicar
+        const remote = [];
+        const stop = reader.watch(change => remote.push(change));
+        await wait();
+        const listening = writer.changes.active;
+        await writer.create({ text: 'hola' });
+        await wait();
+
+        stop();
+        await wait();
+        const isValid = idle && listening && remote.length === 1 && !writer.changes.active;
+        await writer.drop();
+        logResult('testChangeStreamIdle', { success: isValid });
+    } catch (error) {
+        logResult('testChangeStreamIdle', { success: false, error: error.message });
+    }
+}
+
+// Test: $text en cursores, subconsultas, agregaciones, escrituras, watch y transacciones
+async function testTextSearchEverywhere() {
+    const noteSchema = new Schema({
+        body: { type: String, text: true },
+        folder: { type: String },
+        views: { type: Number }
+    });
+    const model = new Model('textEverywhereDB', noteSchema);
+    const wait = () => new Promise(resolve => setTimeout(resolve, 20));
+    const coffee = { $text: { $search: 'café' } };
+
+    try {
+        await model.connect();
+        await model.clear();
+        await model.create({ body: 'Café con leche', folder: 'cocina', views: 0 });
+        await model.create({ body: 'Presupuesto del café', folder: 'trabajo', views: 0 });
+        await model.create({ body: 'Nada que ver', folder: 'trabajo', views: 0 });
+
+        const streamed = [];
+        for await (const note of model.cursor(coffee, { sort: { body: 1 } })) streamed.push(note.body);
+        const nested = await model.find({ $or: [coffee, { folder: 'cocina' }], folder: 'trabajo' });
+        const either = await model.count({ $and: [coffee, { $or: [{ folder: 'cocina' }, coffee] }] });
+        const grouped = await model.aggregate([
+            { $match: coffee },
+            { $group: { _id: '$folder', total: { $sum: 1 } } },
+            { $match: { $text: { $search: 'leche' } } }
+        ]);
+
+        const events = [];
+        const stop = model.watch(coffee, change => events.push(change.type));
+        await wait();
+        const updated = await model.updateMany(coffee, { $inc: { views: 1 } });
+        await wait();
+        stop();
+
+        let staged = 0;
+        await model.transaction([model.activeCollection], async (tx) => {
+            await tx.collection(model.activeCollection).create({ body: 'Otro café', views: 0 });
+            staged = (await tx.collection(model.activeCollection).find(coffee)).length;
+        });
+        const removed = await model.deleteMany({ $nor: [coffee] });
+        const unknownField = await model.aggregate([{ $project: { folder: 1 } }, { $match: coffee }]);
+
+        const isValid = streamed.join() === 'Café con leche,Presupuesto del café'
+            && nested.length === 1 && nested[0].body === 'Presupuesto del café'
+            && either === 2
+            && grouped.length === 0
+            && updated.modifiedCount === 2 && events.join() === 'update,update'
+            && staged === 3
+            && removed.length === 1 && (await model.count()) === 3
+            && unknownField.length === 0;
+        await model.clear();
+        logResult('testTextSearchEverywhere', { success: isValid });
+    } catch (error) {
+        logResult('testTextSearchEverywhere', { success: false, error: error.message });
+    }
+}
+
+// Test: Los operadores de actualización pasan por el modo strict y los sanitizadores
+async function testOperatorSanitizing() {
+    const tagSchema = (strict) => new Schema({
+        name: { type: String },
+        tags: [{ type: String, lowercase: true }]
+    }, { strict });
+    const strictModel = new Model('strictOperatorsDB', tagSchema('throw'));
+    const model = new Model('operatorsDB', tagSchema(true));
+    const kind = (promise) => promise.then(() => null, (error) => error.errors?.[Object.keys(error.errors)[0]]?.kind);
+
+    try {
+        await strictModel.connect();
+        await model.connect();
+        const strictDoc = await strictModel.create({ name: 'Ana', tags: [] });
+        const doc = await model.create({ name: 'Ana', tags: [] });
+
+        const rejected = [
+            await kind(strictModel.update({ $rename: { name: 'ghost' } }, strictDoc._id)),
+            await kind(strictModel.update({ $inc: { other: 1 } }, strictDoc._id)),
+            await kind(strictModel.update({ $unset: { other: '' } }, strictDoc._id))
+        ];
+        // Con strict: true las rutas desconocidas se descartan sin error
+        await model.update({ $rename: { name: 'ghost' }, $inc: { other: 1 } }, doc._id);
+        await model.update({ $push: { tags: 'UPPER' }, $addToSet: { tags: { $each: ['Upper', 'Mixed'] } } }, doc._id);
+        const stored = await model.findById(doc._id);
+
+        const isValid = rejected.every((value) => value === 'strict')
+            && stored.name === 'Ana' && stored.ghost === undefined && stored.other === undefined
+            && stored.tags.join() === 'upper,mixed';
+        await strictModel.drop();
+        await model.drop();
+        logResult('testOperatorSanitizing', { success: isValid });
+    } catch (error) {
+        logResult('testOperatorSanitizing', { success: false, error: error.message });
+    }
+}
+
+// Test: Los errores del modelo y de las transacciones llevan un código estable
+async function testErrorCodes() {
+    const model = new Model('errorCodesDB', userSchema);
+    const code = (promise) => promise.then(() => null, (error) => error instanceof IrisError && error.code);
+
+    try {
+        await model.connect();
+        const ana = await model.create({ name: 'Ana', age: 30 });
+        let stale = null;
+        const conflict = await model.transaction(model.activeCollection, async (tx) => {
+            stale = tx;
+            await tx.update(model.activeCollection, { age: 32 }, ana._id);
+            // Otra escritura cambia el documento antes de confirmar la transacción
+            await model.update({ age: 31 }, ana._id);
+        }).catch((error) => error);
+
+        const codes = [
+            await code(model.update({ $set: { age: 1 } })),
+            await code(model.restore(ana._id)),
+            (await model.bulkWrite([{ upsertAll: {} }])).errors[0].error.code,
+            await code(Promise.resolve().then(() => stale.create(model.activeCollection, { name: 'Bruno', age: 20 })))
+        ];
+        const isValid = conflict instanceof VersionConflictError && conflict.id === ana._id
+            && codes.join() === 'PRIMARY_KEY_REQUIRED,INVALID_ARGUMENT,INVALID_ARGUMENT,TRANSACTION_COMMITTED'
+            && (await model.findById(ana._id)).age === 31;
+        await model.drop();
+        logResult('testErrorCodes', { success: isValid });
+    } catch (error) {
+        logResult('testErrorCodes', { success: false, error: error.message });
+    }
+}
+
+// Test: El cursor ordena como find (con virtuales) y deja de devolver lo que caduca mientras se recorre
+async function testCursorOrderAndExpiry() {
+    const personSchema = new Schema({
+        firstName: { type: String },
+        lastName: { type: String },
+        expiresAt: { type: Date, expires: 0 }
+    });
+    personSchema.virtual('fullName').get(person => `${person.firstName} ${person.lastName}`);
+    const model = new Model('cursorOrderDB', personSchema, { ttlInterval: 0 });
+    const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    try {
+        await model.connect();
+        await model.clear();
+        await model.create({ firstName: 'Carla', lastName: 'Vidal', expiresAt: new Date(Date.now() + 300) });
+        await model.create({ firstName: 'Bea', lastName: 'Sanz' });
+        await model.create({ firstName: 'Ana', lastName: 'Ruiz' });
+
+        const found = (await model.find().sort({ fullName: 1 })).map(person => person.fullName).join();
+        const streamed = [];
+        for await (const person of model.cursor(null, { sort: { fullName: 1 }, batchSize: 1 })) {
+            streamed.push(person.fullName);
+            // Carla caduca antes de leer el último lote
+            if (streamed.length === 1) await wait(400);
+        }
+
+        const isValid = found === 'Ana Ruiz,Bea Sanz,Carla Vidal'
+            && streamed.join() === 'Ana Ruiz,Bea Sanz';
+        await model.drop();
+        logResult('testCursorOrderAndExpiry', { success: isValid });
+    } catch (error) {
+        logResult('testCursorOrderAndExpiry', { success: false, error: error.message });
+    }
+}
+
+// Test: Las creaciones de una transacción ejecutan post('save') al confirmar y los cursores los hooks de find
+async function testTransactionAndCursorHooks() {
+    const noteSchema = new Schema({ title: { type: String }, archived: { type: Boolean } });
+    const saved = [];
+    const batches = [];
+    noteSchema.post('save', (note, ctx) => saved.push(`${ctx.collection}:${note.title}`));
+    noteSchema.pre('find', (ctx) => {
+        ctx.query = { ...ctx.query, archived: { $ne: true } };
+    });
+    noteSchema.post('find', (notes) => batches.push(notes.length));
+    const model = new Model('txHooksDB', noteSchema);
+
+    try {
+        await model.connect();
+        await model.create({ title: 'Archivada', archived: true });
+        saved.length = 0;
+        await model.transaction(model.activeCollection, async (tx) => {
+            const notes = tx.collection(model.activeCollection);
+            await notes.create({ title: 'A' });
+            const discarded = await notes.create({ title: 'B' });
+            await notes.create({ title: 'C' });
+            await notes.delete(discarded._id);
+            // Aún no se ha confirmado nada
+            if (saved.length > 0) throw new Error('post(save) ran before commit');
+        });
+        const afterCommit = saved.join();
+
+        await model.transaction(model.activeCollection, async (tx) => {
+            await tx.collection(model.activeCollection).create({ title: 'D' });
+            throw new Error('rollback');
+        }).catch(() => {});
+
+        const streamed = [];
+        for await (const note of model.cursor({}, { batchSize: 1, sort: { title: 1 } })) streamed.push(note.title);
+
+        const isValid = afterCommit === `${model.activeCollection}:A,${model.activeCollection}:C`
+            && saved.length === 2
+            && streamed.join() === 'A,C' && batches.join() === '1,1';
+        await model.drop();
+        logResult('testTransactionAndCursorHooks', { success: isValid });
+    } catch (error) {
+        logResult('testTransactionAndCursorHooks', { success: false, error: error.message });
+    }
+}
+
+// Test: Una transacción se confirma aunque otra conexión actualice la base de datos durante el callback
+async function testTransactionReconnect() {
+    const first = new Model('txReconnectDB', userSchema);
+    const second = new Model('txReconnectDB', userSchema);
+
+    try {
+        await first.connect();
+        await first.transaction(first.activeCollection, async (tx) => {
+            await tx.collection(first.activeCollection).create({ name: 'Ana', age: 30 });
+            // La actualización de versión cierra la conexión del primer modelo
+            await second.connect();
+            await second.addCollections(['extra']);
+        });
+        const isValid = (await first.find({ name: 'Ana' })).length === 1;
+        await second.drop();
+        logResult('testTransactionReconnect', { success: isValid });
+    } catch (error) {
+        logResult('testTransactionReconnect', { success: false, error: error.message });
+    }
+}
+
+// Test: Una actualización con otra conexión abierta que no se cierra falla igual con IndexedDB y en memoria
+async function testBlockedUpgrade() {
+    try {
+        const codes = [];
+        for (const adapter of [Model.defaultAdapter, new MemoryAdapter()]) {
+            const model = new Model('blockedUpgradeDB', userSchema, { adapter });
+            await model.connect();
+            // Conexión sin manejador de versionchange: no se cierra al pedir la actualización
+            const request = adapter.open('blockedUpgradeDB');
+            const raw = await new Promise((resolve, reject) => {
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            const code = await model.addCollections(['extra']).then(() => null, (error) => error.code);
+            codes.push(code);
+            raw.close();
+            await model.drop();
+        }
+        const isValid = codes.every((code) => code === 'DATABASE_BLOCKED');
+        logResult('testBlockedUpgrade', { success: isValid, error: `Códigos: ${codes.join(', ')}` });
+    } catch (error) {
+        logResult('testBlockedUpgrade', { success: false, error: error.message });
+    }
+}
+
+// Test: Las comparaciones entre tipos distintos dan lo mismo con índice que recorriendo la colección
+async function testMixedTypeRanges() {
+    const definition = () => ({ name: { type: String, required: true }, value: {} });
+    const plain = new Model('mixedRangesDB', new Schema(definition()));
+    const indexed = new Model('mixedRangesIndexedDB', new Schema(definition()).addIndex('value'));
+    const values = [5, 15, new Date(10), '20', true];
+    const queries = [
+        { value: { $gt: 10 } },
+        { value: { $lt: new Date(0) } },
+        { value: { $gte: '1' } },
+        { value: { $gt: 1, $lte: new Date(20) } }
+    ];
+
+    try {
+        const results = [];
+        for (const model of [plain, indexed]) {
+            await model.connect();
+            await model.clear();
+            for (const [i, value] of values.entries()) await model.create({ name: `V${i}`, value });
+            const found = [];
+            for (const query of queries) {
+                const names = (await model.find(query)).map(item => item.name).sort().join(',');
+                found.push(`${names}:${await model.count(query)}`);
+            }
+            results.push(found.join('|'));
+        }
+        const isValid = results[0] === results[1]
+            && results[0] === 'V1,V2,V3:3|V0,V1:2|V3:1|V0,V1,V2:3';
+        logResult('testMixedTypeRanges', { success: isValid, error: results.join(' / ') });
+    } catch (error) {
+        logResult('testMixedTypeRanges', { success: false, error: error.message });
+    }
+}
+
+// Test: Una pestaña que deja de responder sin avisar deja de contar como suscriptora
+async function testChangeStreamExpiry() {
+    const noteSchema = new Schema({ text: { type: String } });
+    const writer = new Model('expiryChangesDB', noteSchema, { probeInterval: 50 });
+    const reader = new Model('expiryChangesDB', noteSchema);
+    const wait = () => new Promise(resolve => setTimeout(resolve, 250));
+
+    try {
+        await writer.connect();
+        await reader.connect();
+        const stop = reader.watch(() => {});
+        await wait();
+        // Mientras responde a las preguntas sigue suscrita
+        const listening = writer.changes.active;
+
+        // La pestaña se cuelga: ya no recibe ni responde mensajes
+        reader.changes.channel.onmessage = null;
+        await wait();
+        const isValid = listening && writer.changes.remote.size === 0
+            && !writer.changes.active && writer.changes.prober === null;
+        stop();
+        await reader.disconnect();
+        await writer.drop();
+        logResult('testChangeStreamExpiry', { success: isValid });
+    } catch (error) {
+        logResult('testChangeStreamExpiry', { success: false, error: error.message });
+    }
+}
+
+// Test: El índice de texto solo se reconstruye si cambian los campos de texto o se ejecuta una migración
+async function testTextIndexRebuild() {
+    const noteSchema = new Schema({ body: { type: String, text: true } });
+    const textStore = 'textRebuildDB__text';
+    const onText = (model, mode, action) => new Promise((resolve, reject) => {
+        const request = action(model.db.transaction(textStore, mode).objectStore(textStore));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    let model = new Model('textRebuildDB', noteSchema);
+
+    try {
+        await model.connect();
+        await model.create({ body: 'hola mundo' });
+        // Entrada que solo desaparece si se vuelve a crear el almacén de texto
+        await onText(model, 'readwrite', store => store.put({ key: 'marker', tokens: { body: [] }, counts: {} }));
+        await model.addCollections(['extra']);
+        const kept = (await onText(model, 'readonly', store => store.getAllKeys())).includes('marker');
+        await model.disconnect();
+
+        model = new Model('textRebuildDB', noteSchema, {
+            migrations: { 2: (ctx) => ctx.updateAll(note => ({ ...note, body: 'adiós mundo' })) }
+        });
+        await model.connect();
+        const rebuilt = !(await onText(model, 'readonly', store => store.getAllKeys())).includes('marker');
+        const found = await model.find({ $text: { $search: 'adios' } });
+
+        const isValid = kept && rebuilt && found.length === 1;
+        await model.drop();
+        logResult('testTextIndexRebuild', { success: isValid, error: JSON.stringify({ kept, rebuilt, found: found.length }) });
+    } catch (error) {
+        logResult('testTextIndexRebuild', { success: false, error: error.message });
+    }
+}
+
 // Ejecutar todos los tests
 async function runTests() {
     await testConnect();
@@ -258,6 +1819,45 @@ async function runTests() {
     await testNoDuplicateCollections();
     await testConnectWithoutAdditionalCollections();
     await testMainCollectionName();
+    await testIndexedQueries();
+    await testQueryBuilder();
+    await testCursor();
+    await testQueryOperators();
+    await testUpdateOperators();
+    await testMultiCollectionTransaction();
+    await testInsertManyAndBulkWrite();
+    await testAggregate();
+    await testPopulate();
+    await testMigrations();
+    await testIndexSync();
+    await testWatchAndLiveQuery();
+    await testCrossTabChanges();
+    await testHooks();
+    await testSchemaValidation();
+    await testValidationErrors();
+    await testDefaultsAndSanitizers();
+    await testTimestamps();
+    await testVirtuals();
+    await testSoftDelete();
+    await testVersionKey();
+    await testExpiringDocuments();
+    await testTextSearch();
+    await testMemoryAdapter();
+    await testOPFSAdapter();
+    await testVersionChangeWhileConnected();
+    await testBatchPartialFailure();
+    await testArrayFieldIndex();
+    await testChangeStreamIdle();
+    await testTextSearchEverywhere();
+    await testOperatorSanitizing();
+    await testErrorCodes();
+    await testCursorOrderAndExpiry();
+    await testTransactionAndCursorHooks();
+    await testTransactionReconnect();
+    await testBlockedUpgrade();
+    await testMixedTypeRanges();
+    await testChangeStreamExpiry();
+    await testTextIndexRebuild();
 }
 
 // Ejecutar los tests
@@ -135,6 +135,59 @@ async function testToObject() {
     logResult('testToObject', { success: result });
 }
 
+// Test: Validadores integrados (enum, min/max, longitud, match, integer)
+async function testBuiltInValidators() {
+    const schema = new Schema({
+        name: { type: String, required: true, minLength: 2, maxLength: 20 },
+        role: { type: String, enum: ['admin', 'user'] },
+        age: { type: Number, min: 0, max: 150, integer: true },
+        zip: { type: String, match: /^\d{5}$/ }
+    });
+
+    try {
+        schema.validate({ name: 'Ana', role: 'admin', age: 30, zip: '28001' });
+        let message = '';
+        try {
+            schema.validate({ name: 'A', role: 'root', age: 30.5, zip: '123' });
+        } catch (error) {
+            message = error.message;
+        }
+        const result = ["'name' must have a length of at least 2", "'role' must be one of",
+            "'age' must be an integer", "'zip' does not match"].every(text => message.includes(text));
+        logResult('testBuiltInValidators', { success: result });
+    } catch (error) {
+        logResult('testBuiltInValidators', { success: false, error: error.message });
+    }
+}
+
+// Test: Sub-esquemas y arrays tipados
+async function testNestedAndArrayValidation() {
+    const itemSchema = new Schema({
+        sku: { type: String, required: true },
+        qty: { type: Number, min: 1 }
+    });
+    const schema = new Schema({
+        address: new Schema({ city: { type: String, required: true } }),
+        tags: [String],
+        items: [itemSchema]
+    });
+
+    try {
+        await schema.validateAsync({ address: { city: 'Madrid' }, tags: ['a'], items: [{ sku: 'x', qty: 2 }] });
+        let message = '';
+        try {
+            await schema.validateAsync({ address: {}, tags: ['a', 1], items: [{ qty: 0 }] });
+        } catch (error) {
+            message = error.message;
+        }
+        const result = ["'address.city' is required", "'tags.1' must be of type String",
+            "'items.0.sku' is required", "'items.0.qty' must be at least 1"].every(text => message.includes(text));
+        logResult('testNestedAndArrayValidation', { success: result });
+    } catch (error) {
+        logResult('testNestedAndArrayValidation', { success: false, error: error.message });
+    }
+}
+
 // Ejecutar todos los tests
 async function runTests() {
     await testSchemaCreation();
@@ -146,6 +199,8 @@ async function runTests() {
     await testRemoveIndex();
     await testToDocument();
     await testToObject();
+    await testBuiltInValidators();
+    await testNestedAndArrayValidation();
 }
 
 // Ejecutar los tests
@@ -68,11 +68,15 @@ window.fetch = async (url, options) => {
   const body = JSON.parse(options.body);
   if (options.method === 'POST') {
     return {
+      ok: true,
+      status: 200,
       json: async () => await mockServer.get(body.lastSync)
     };
   }
   if (options.method === 'PUT') {
     return {
+      ok: true,
+      status: 200,
       json: async () => await mockServer.sync(body.changes)
     };
   }
@@ -98,6 +102,13 @@ async function runSyncTests() {
   const syncResult = await syncManager.sync();
   console.log('Sync Result:', syncResult);
 
+  console.log('Simulando un error del servidor...');
+  const mockFetch = window.fetch;
+  window.fetch = async () => ({ ok: false, status: 503, json: async () => ({}) });
+  const failedPull = await syncManager.pullFromServer();
+  window.fetch = mockFetch;
+  console.log('Failed Pull Result:', failedPull, failedPull.code === 'SYNC_ERROR' ? 'PASADO' : 'FALLADO');
+
   console.log('Contenido del modelo después de la sincronización:', model);
 }
 